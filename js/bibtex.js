@@ -0,0 +1,415 @@
+/**
+ * ============================================
+ * BIBTEX.JS
+ * Parses data/publications.bib and formats entries
+ * back out as BibTeX or as APA references
+ * Handles @string macros, # concatenation, nested
+ * braces and common LaTeX accents; @comment,
+ * @preamble and % comment lines are skipped
+ * ============================================
+ */
+
+class BibTeX {
+    /**
+     * Parse a .bib file
+     * Malformed entries are skipped rather than failing the file
+     * @param {string} text - File contents
+     * @param {Error[]} [errors] - Collects one error per skipped entry, with the line it was found on
+     * @returns {Object[]} Entries as { type, key, fields } with lowercase field names
+     *                     and raw values (macros expanded, LaTeX kept)
+     */
+    static parse(text, errors = []) {
+        const parser = { text: String(text), pos: 0, strings: { ...BibTeX.months } };
+        const entries = [];
+
+        while (BibTeX.findEntry(parser)) {
+            const start = parser.pos;
+
+            try {
+                const entry = BibTeX.readEntry(parser);
+                if (entry) entries.push(entry);
+            } catch (error) {
+                errors.push(error);
+
+                // Resume at the next line that starts an entry
+                const next = /^[ \t]*@/gm;
+                next.lastIndex = start + 1;
+                parser.pos = next.exec(parser.text)?.index ?? parser.text.length;
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Move to the next "@", skipping % comments up to the end of their line
+     * @returns {boolean} Whether there is one
+     */
+    static findEntry(parser) {
+        const pattern = /%[^\n]*|@/g;
+        pattern.lastIndex = parser.pos;
+
+        let match;
+        while ((match = pattern.exec(parser.text))) {
+            if (match[0] === '@') {
+                parser.pos = match.index;
+                return true;
+            }
+        }
+
+        parser.pos = parser.text.length;
+        return false;
+    }
+
+    /**
+     * Read the entry starting at "@"
+     * @returns {Object|null} The entry, or null for @comment, @preamble and @string
+     * @throws {Error} On malformed input
+     */
+    static readEntry(parser) {
+        parser.pos++;
+        const type = BibTeX.readName(parser).toLowerCase();
+
+        // Anything outside an entry is a comment, and so is @comment's own text
+        if (!type || type === 'comment') return null;
+
+        BibTeX.skipSpace(parser);
+        const open = parser.text[parser.pos];
+        if (open !== '{' && open !== '(') {
+            throw BibTeX.error(parser, `expected "{" after @${type}`);
+        }
+        const close = open === '{' ? '}' : ')';
+        parser.pos++;
+
+        if (type === 'preamble') {
+            BibTeX.readValue(parser);
+            BibTeX.expect(parser, close);
+            return null;
+        }
+
+        if (type === 'string') {
+            const name = BibTeX.readName(parser).toLowerCase();
+            BibTeX.expect(parser, '=');
+            parser.strings[name] = BibTeX.readValue(parser);
+            BibTeX.expect(parser, close);
+            return null;
+        }
+
+        BibTeX.skipSpace(parser);
+        const key = BibTeX.readName(parser);
+        if (!key) {
+            throw BibTeX.error(parser, `expected a citation key after @${type}`);
+        }
+
+        return { type, key, fields: BibTeX.readFields(parser, close) };
+    }
+
+    /**
+     * Read "name = value" pairs up to the entry's closing bracket
+     */
+    static readFields(parser, close) {
+        const fields = {};
+
+        while (true) {
+            BibTeX.skipSpace(parser);
+            const char = parser.text[parser.pos];
+
+            if (char === undefined) {
+                throw BibTeX.error(parser, `missing "${close}" at the end of the entry`);
+            }
+            if (char === ',') {
+                parser.pos++;
+                continue;
+            }
+            if (char === close) {
+                parser.pos++;
+                return fields;
+            }
+
+            const name = BibTeX.readName(parser).toLowerCase();
+            if (!name) {
+                throw BibTeX.error(parser, `unexpected "${char}"`);
+            }
+            BibTeX.expect(parser, '=');
+            fields[name] = BibTeX.readValue(parser);
+        }
+    }
+
+    /**
+     * Read a value: {braced}, "quoted", a number or a macro, joined with #
+     */
+    static readValue(parser) {
+        const parts = [];
+
+        do {
+            BibTeX.skipSpace(parser);
+            const char = parser.text[parser.pos];
+
+            if (char === '{' || char === '"') {
+                parts.push(BibTeX.readDelimited(parser));
+            } else {
+                const name = BibTeX.readName(parser);
+                if (!name) {
+                    throw BibTeX.error(parser, 'expected a value');
+                }
+                if (/^\d+$/.test(name)) {
+                    parts.push(name);
+                } else if (Object.hasOwn(parser.strings, name.toLowerCase())) {
+                    parts.push(parser.strings[name.toLowerCase()]);
+                } else {
+                    throw BibTeX.error(parser, `unknown @string "${name}"`);
+                }
+            }
+
+            BibTeX.skipSpace(parser);
+        } while (parser.text[parser.pos] === '#' && ++parser.pos);
+
+        return parts.join('').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Read a {braced} or "quoted" value, keeping nested braces
+     */
+    static readDelimited(parser) {
+        const start = parser.pos;
+        const quoted = parser.text[start] === '"';
+        let depth = 0;
+
+        for (let i = start + 1; i < parser.text.length; i++) {
+            const char = parser.text[i];
+
+            if (char === '\\') {
+                i++;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && depth > 0) {
+                depth--;
+            } else if (depth === 0 && char === (quoted ? '"' : '}')) {
+                parser.pos = i + 1;
+                return parser.text.slice(start + 1, i);
+            }
+        }
+
+        parser.pos = start;
+        throw BibTeX.error(parser, 'unterminated value');
+    }
+
+    /**
+     * Read an entry type, key, field or macro name
+     */
+    static readName(parser) {
+        const pattern = /[^\s"#%'(),={}]+/y;
+        pattern.lastIndex = parser.pos;
+
+        const match = pattern.exec(parser.text);
+        if (!match) return '';
+
+        parser.pos = pattern.lastIndex;
+        return match[0];
+    }
+
+    static skipSpace(parser) {
+        while (/\s/.test(parser.text[parser.pos] || '')) {
+            parser.pos++;
+        }
+    }
+
+    static expect(parser, char) {
+        BibTeX.skipSpace(parser);
+        if (parser.text[parser.pos] !== char) {
+            throw BibTeX.error(parser, `expected "${char}"`);
+        }
+        parser.pos++;
+    }
+
+    static error(parser, message) {
+        const line = parser.text.slice(0, parser.pos).split('\n').length;
+        return new Error(`line ${line}: ${message}`);
+    }
+
+    /**
+     * Plain text for a raw value: LaTeX accents and symbols become Unicode, braces go
+     * @param {string} value - Raw field value
+     * @returns {string}
+     */
+    static clean(value) {
+        return String(value ?? '')
+            .replace(/\{?\\([`'^"~=.])\s*\{?(\\i|[a-zA-Z])\}?\}?/g, (_, accent, letter) => {
+                return (letter === '\\i' ? 'i' : letter) + BibTeX.accents[accent];
+            })
+            .replace(/\{?\\([cvuHk])(?:\s*\{([a-zA-Z])\}|\s+([a-zA-Z]))\}?/g, (_, accent, braced, bare) => {
+                return (braced || bare) + BibTeX.accents[accent];
+            })
+            .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L)(?![a-zA-Z])\s*(?:\{\})?/g, (_, name) => BibTeX.letters[name])
+            .replace(/\\([&%$#_{}])/g, '$1')
+            .replace(/\\[a-zA-Z]+\s*/g, '')
+            .replace(/[{}]/g, '')
+            .replace(/---/g, '—')
+            .replace(/--/g, '–')
+            .replace(/``/g, '“')
+            .replace(/''/g, '”')
+            .replace(/~/g, '\u00a0')
+            .normalize('NFC');
+    }
+
+    /**
+     * Split an author/editor list into names
+     * Accepts "First Last", "First von Last" and "Last, First" forms
+     * @param {string} value - Raw field value (e.g. "Davenport, Diag and Carl Illustrisimo")
+     * @returns {Object[]} Names as { first, last } in plain text
+     */
+    static parseNames(value) {
+        return BibTeX.splitTopLevel(value || '', /\s+and\s+/gi)
+            .filter(Boolean)
+            .map(name => {
+                const parts = BibTeX.splitTopLevel(name, /\s*,\s*/g);
+
+                // "Last, First" or "Last, Jr, First"
+                if (parts.length > 1) {
+                    return {
+                        first: BibTeX.clean(parts[parts.length - 1]),
+                        last: BibTeX.clean(parts.slice(0, -1).join(', '))
+                    };
+                }
+
+                // "First von Last": the last name starts at the first lowercase word
+                const words = BibTeX.splitTopLevel(name, /\s+/g);
+                let split = words.findIndex((word, index) => index > 0 && /^[a-z]/.test(word));
+                if (split === -1) split = words.length - 1;
+
+                return {
+                    first: BibTeX.clean(words.slice(0, split).join(' ')),
+                    last: BibTeX.clean(words.slice(split).join(' '))
+                };
+            });
+    }
+
+    /**
+     * Split on a separator, ignoring matches inside braces
+     * @param {string} value - Raw text
+     * @param {RegExp} separator - Global pattern
+     * @returns {string[]}
+     */
+    static splitTopLevel(value, separator) {
+        // Blank out braced text so the separator can't match inside it
+        let depth = 0;
+        let masked = '';
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '{') depth++;
+            masked += depth > 0 ? '_' : value[i];
+            if (value[i] === '}' && depth > 0) depth--;
+        }
+
+        const parts = [];
+        let start = 0;
+        for (const match of masked.matchAll(separator)) {
+            parts.push(value.slice(start, match.index).trim());
+            start = match.index + match[0].length;
+        }
+        parts.push(value.slice(start).trim());
+
+        return parts;
+    }
+
+    /**
+     * Initials for given names ("Diag" → "D.", "Jean-Paul" → "J.-P.")
+     */
+    static initials(first) {
+        return first
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(part => part.split('-').map(piece => `${piece[0]}.`).join('-'))
+            .join(' ');
+    }
+
+    /**
+     * Entry as BibTeX, without the site-only fields
+     * @param {Object} entry - Parsed entry
+     * @returns {string}
+     */
+    static stringify(entry) {
+        const fields = Object.entries(entry.fields).filter(([name]) => !BibTeX.siteFields.includes(name));
+        const width = Math.max(0, ...fields.map(([name]) => name.length));
+
+        return [
+            `@${entry.type}{${entry.key},`,
+            fields.map(([name, value]) => `  ${name.padEnd(width)} = {${value}}`).join(',\n'),
+            '}'
+        ].join('\n');
+    }
+
+    /**
+     * Entry as an APA 7 reference, in plain text
+     * @param {Object} entry - Parsed entry
+     * @returns {string}
+     */
+    static apa(entry) {
+        const field = name => BibTeX.clean(entry.fields[name]);
+        const sentence = text => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+        const names = BibTeX.parseNames(entry.fields.author).map(name => {
+            return name.first ? `${name.last}, ${BibTeX.initials(name.first)}` : name.last;
+        });
+        const authors = names.length > 1
+            ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`
+            : names.join('');
+
+        const manuscript = BibTeX.manuscripts[entry.fields.status];
+        const title = manuscript ? `${field('title')} [${manuscript}]` : field('title');
+        const parts = [`${authors} (${field('year') || 'n.d.'}).`, sentence(title)];
+
+        if (entry.fields.journal) {
+            const issue = entry.fields.number ? `(${field('number')})` : '';
+            const volume = entry.fields.volume ? `, ${field('volume')}${issue}` : '';
+            const pages = entry.fields.pages ? `, ${field('pages')}` : '';
+            parts.push(`${field('journal')}${volume}${pages}.`);
+        } else if (entry.fields.booktitle) {
+            const pages = entry.fields.pages ? ` (pp. ${field('pages')})` : '';
+            parts.push(`In ${field('booktitle')}${pages}.`);
+        }
+
+        if (entry.fields.publisher && !entry.fields.journal) {
+            parts.push(sentence(field('publisher')));
+        }
+
+        if (entry.fields.doi) {
+            parts.push(`https://doi.org/${field('doi').replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')}`);
+        } else if (entry.fields.url) {
+            parts.push(field('url'));
+        }
+
+        return parts.join(' ');
+    }
+}
+
+// Predefined month macros (month = jan)
+BibTeX.months = {
+    jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+    jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+};
+
+// Combining marks for LaTeX accent commands (\'e, \"o, \c{c}, ...)
+BibTeX.accents = {
+    '`': '\u0300', "'": '\u0301', '^': '\u0302', '~': '\u0303', '=': '\u0304', '.': '\u0307',
+    '"': '\u0308', u: '\u0306', H: '\u030b', v: '\u030c', c: '\u0327', k: '\u0328'
+};
+
+BibTeX.letters = {
+    ss: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', o: 'ø', O: 'Ø', l: 'ł', L: 'Ł'
+};
+
+// Fields the site reads that aren't meant for other people's reference managers
+BibTeX.siteFields = ['status', 'pdf', 'code'];
+
+// APA descriptions for unpublished work, by status
+BibTeX.manuscripts = {
+    'under review': 'Manuscript submitted for publication',
+    'in prep': 'Manuscript in preparation'
+};
+
+// Expose for the browser and for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BibTeX;
+} else {
+    window.BibTeX = BibTeX;
+}
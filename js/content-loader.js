@@ -2,6 +2,7 @@
  * ============================================
  * CONTENT-LOADER.JS
  * Loads dynamic content from JSON data files
+ * (through Pages.load, so pages share one fetch per file)
  * Integrates with ImageLoader for instant image display
  * ============================================
  */
@@ -10,22 +11,83 @@ class ContentLoader {
     constructor() {
         this.updatesContainer = document.getElementById('updatesContent');
         this.projectsContainer = document.getElementById('projectList');
+        this.projectHeader = document.getElementById('projectHeader');
+        this.projectDetailContainer = document.getElementById('projectDetail');
+        this.notFoundContainer = document.getElementById('notFound');
+        this.updatesArchiveContainer = document.getElementById('updatesArchive');
         this.previewBox = document.getElementById('project-preview-box');
         this.previewImg = document.getElementById('preview-box-img');
+        this.previewVideo = document.getElementById('preview-box-video');
         this.previewIndicators = document.getElementById('preview-indicators');
+        this.previewControls = document.getElementById('preview-box-controls');
+        this.previewToggle = document.getElementById('preview-box-toggle');
+        
+        // Loaded data, kept for detail and archive views
+        this.projects = [];
+        this.updates = [];
+        this.projectsStatus = 'loading'; // 'loading' | 'loaded' | 'failed'
+        
+        // Updates pagination on the home page
+        this.updatesPerPage = 5;
+        this.visibleUpdates = this.updatesPerPage;
+        
+        // Update date display (see Dates.defaults): style 'short' | 'medium' | 'long' | 'iso',
+        // relative for "3 weeks ago". Prerendering uses Dates.defaults, so changing the locale
+        // here means passing the same one there
+        this.dateFormat = { ...Dates.defaults };
         
         // Slideshow state
+        // Timing: image "duration", then the project's "slideshowDelay", then this default
         this.currentImages = [];
         this.currentImageIndex = 0;
-        this.slideshowInterval = null;
+        this.currentProjectId = null;
+        this.currentDurations = [];
+        this.currentPosters = [];
+        this.currentDelay = null;
+        this.slideshowTimer = null;
         this.slideshowDelay = 2500;
+        this.previewHideDelay = 150; // grace period for reaching the box controls
+        this.previewHideTimer = null;
+        this.previewShowDelay = 90; // hover intent: fast sweeps across rows don't flicker the box
+        this.previewShowTimer = null;
+        
+        // Placement: 'fixed' (corner of the viewport) or 'follow' (trails the pointer, opt-in:
+        // the box keeps moving away, so its slideshow controls are only usable when fixed)
+        // Set with data-placement on #project-preview-box
+        this.previewPlacement = (this.previewBox && this.previewBox.dataset.placement) || 'fixed';
+        this.previewFollowSpeed = 0.15; // same easing as the primary cursor
+        this.previewOffset = 24; // px between pointer and box
+        this.previewMargin = 16; // px kept clear of the viewport edges
+        this.pointerX = 0;
+        this.pointerY = 0;
+        this.previewX = 0;
+        this.previewY = 0;
+        this.previewFrame = null;
         this.isPreviewVisible = false;
+        this.isPreviewPinned = false;
+        this.isPointerInControls = false;
+        
+        // Autoplay is off when the visitor prefers reduced motion (they can still press play)
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.isSlideshowPaused = this.reducedMotionQuery.matches;
+        this.hasChosenPlayback = false; // Set once they press play/pause; the preference no longer overrides it
         
         // Image preload state for smooth transitions
         this.preloadedImages = new Set();
         
         // Check if device supports hover (desktop)
-        this.supportsHover = window.matchMedia('(hover: hover)').matches;
+        // Hybrid devices can switch (e.g. detaching a tablet keyboard), so keep it live
+        this.hoverQuery = window.matchMedia('(hover: hover)');
+        this.supportsHover = this.hoverQuery.matches;
+        this.hoverQuery.addEventListener('change', (e) => {
+            this.supportsHover = e.matches;
+            if (!e.matches) {
+                this.unpinPreviewBox();
+            }
+        });
+        
+        this.setupSlideshowControls();
+        this.setupPreviewFollow();
         
         // Initialize
         this.init();
@@ -52,16 +114,10 @@ class ContentLoader {
             window.imageLoader.refresh();
         }
         
-        // Listen for page changes to preload images when entering projects
-        window.addEventListener('pageChange', (e) => {
-            if (e.detail.page === 'projects') {
-                this.preloadAllPreviewImages();
-            }
-        });
-        
-        // Also preload if already on projects page
-        if (window.location.hash === '#projects') {
-            this.preloadAllPreviewImages();
+        // The current page was mounted before data arrived; render it again with data
+        // (routed views and projects preloading are mount hooks in pages.js)
+        if (window.navigation) {
+            window.navigation.mountPage();
         }
     }
     
@@ -74,9 +130,9 @@ class ContentLoader {
         if (window.imageLoader) {
             window.imageLoader.addToCache(urls);
         } else {
-            // Fallback preloading
+            // Fallback preloading (stills only; clips load when shown)
             urls.forEach(url => {
-                if (!this.preloadedImages.has(url)) {
+                if (!this.preloadedImages.has(url) && !Renderers.isVideo(url)) {
                     const img = new Image();
                     img.src = url;
                     this.preloadedImages.add(url);
@@ -97,16 +153,57 @@ class ContentLoader {
         return this.preloadedImages.has(url);
     }
     
+    /**
+     * Show the preview box once the pointer has rested on a row (hover intent)
+     * Leaving the row before the delay cancels it (see hidePreviewBox)
+     * @param {string|string[]} images - Single image URL or array of image URLs
+     * @param {string} [projectId] - Project ID for slideshow timing
+     */
+    queuePreviewBox(images, projectId = null) {
+        // Cards run their own slideshow inline (see ProjectList.startCardSlideshow)
+        if (this.projectsContainer && this.projectsContainer.classList.contains('is-grid')) return;
+        
+        this.cancelShowPreviewBox();
+        this.cancelHidePreviewBox();
+        
+        this.previewShowTimer = setTimeout(() => {
+            this.previewShowTimer = null;
+            this.showPreviewBox(images, projectId);
+        }, this.previewShowDelay);
+    }
+    
+    cancelShowPreviewBox() {
+        if (this.previewShowTimer) {
+            clearTimeout(this.previewShowTimer);
+            this.previewShowTimer = null;
+        }
+    }
+    
     /**
      * Show preview box with image(s)
+     * If it's already showing another project, the images crossfade instead of hiding and reshowing
      * @param {string|string[]} images - Single image URL or array of image URLs
+     * @param {string} [projectId] - Looks up per-project and per-image slideshow timing
      */
-    showPreviewBox(images) {
-        if (!this.previewBox || !this.previewImg || !this.supportsHover) return;
+    showPreviewBox(images, projectId = null) {
+        if (!this.previewBox || !this.previewImg || !this.supportsHover || this.isPreviewPinned) return;
+        
+        this.cancelShowPreviewBox();
+        this.cancelHidePreviewBox();
+        
+        // Coming back from the controls to the same row shouldn't restart the slideshow
+        if (this.isPreviewVisible && projectId && projectId === this.currentProjectId) return;
+        
+        const wasVisible = this.isPreviewVisible;
+        if (wasVisible) {
+            this.crossfadePreview();
+        }
         
         // Normalize to array
         this.currentImages = Array.isArray(images) ? images : [images];
         this.currentImageIndex = 0;
+        this.currentProjectId = projectId;
+        this.loadSlideshowTiming(projectId);
         
         // Clear any existing slideshow
         this.stopSlideshow();
@@ -117,14 +214,154 @@ class ContentLoader {
         // Update indicators
         this.updateIndicators();
         
+        // Appear beside the pointer rather than gliding in from the last spot
+        if (!wasVisible && this.isFollowingPointer()) {
+            this.positionPreviewBox(true);
+        }
+        
         // Show the preview box
         this.previewBox.classList.add('is-visible');
         this.isPreviewVisible = true;
+        this.syncPreviewVideo();
+        this.startPreviewFollow();
         
         // Start slideshow if multiple images
-        if (this.currentImages.length > 1) {
-            this.startSlideshow();
+        this.startSlideshow();
+    }
+    
+    /**
+     * Fade the current image out over the next project's
+     * A snapshot layer holds the old image while the real one switches underneath
+     */
+    crossfadePreview() {
+        if (this.reducedMotionQuery.matches || !this.previewImg.style.backgroundImage) return;
+        
+        this.previewBox.querySelectorAll('.preview-box-fade').forEach(layer => layer.remove());
+        
+        const layer = document.createElement('div');
+        layer.className = 'preview-box-img preview-box-fade';
+        layer.style.backgroundImage = this.previewImg.style.backgroundImage;
+        this.previewImg.after(layer);
+        
+        // Next frame, so the layer starts opaque and transitions out
+        requestAnimationFrame(() => {
+            layer.classList.add('is-fading');
+            layer.addEventListener('transitionend', () => layer.remove(), { once: true });
+            setTimeout(() => layer.remove(), 500);
+        });
+    }
+    
+    /**
+     * Track the pointer for follow placement
+     */
+    setupPreviewFollow() {
+        if (!this.previewBox) return;
+        
+        this.previewBox.classList.toggle('is-following', this.previewPlacement === 'follow');
+        
+        document.addEventListener('mousemove', (e) => {
+            this.pointerX = e.clientX;
+            this.pointerY = e.clientY;
+        }, { passive: true });
+    }
+    
+    /**
+     * Follow only applies to hover; a pinned (keyboard) preview stays where it is
+     */
+    isFollowingPointer() {
+        return this.previewPlacement === 'follow' && !this.isPreviewPinned;
+    }
+    
+    /**
+     * Where the box should sit: below-right of the pointer, flipped left / above near the edges
+     * @returns {{x: number, y: number}}
+     */
+    getPreviewTarget() {
+        const width = this.previewBox.offsetWidth;
+        const height = this.previewBox.offsetHeight;
+        const margin = this.previewMargin;
+        const offset = this.previewOffset;
+        
+        let x = this.pointerX + offset;
+        let y = this.pointerY + offset;
+        
+        if (x + width > window.innerWidth - margin) {
+            x = this.pointerX - offset - width;
+        }
+        if (y + height > window.innerHeight - margin) {
+            y = this.pointerY - offset - height;
         }
+        
+        return {
+            x: Math.max(margin, Math.min(x, window.innerWidth - width - margin)),
+            y: Math.max(margin, Math.min(y, window.innerHeight - height - margin))
+        };
+    }
+    
+    /**
+     * Move the box toward its target
+     * @param {boolean} snap - Jump straight there (first show, reduced motion)
+     */
+    positionPreviewBox(snap = false) {
+        const target = this.getPreviewTarget();
+        const speed = snap || this.reducedMotionQuery.matches ? 1 : this.previewFollowSpeed;
+        
+        this.previewX += (target.x - this.previewX) * speed;
+        this.previewY += (target.y - this.previewY) * speed;
+        
+        this.previewBox.style.left = `${this.previewX}px`;
+        this.previewBox.style.top = `${this.previewY}px`;
+    }
+    
+    /**
+     * Run the follow loop while the box is visible (same lerp as CustomCursor.animate)
+     */
+    startPreviewFollow() {
+        if (this.previewFrame || !this.isFollowingPointer()) return;
+        
+        const step = () => {
+            if (!this.isPreviewVisible || !this.isFollowingPointer()) {
+                this.previewFrame = null;
+                return;
+            }
+            // Hold still while the pointer is over the box's own controls
+            if (!this.isPointerInControls) {
+                this.positionPreviewBox();
+            }
+            this.previewFrame = requestAnimationFrame(step);
+        };
+        this.previewFrame = requestAnimationFrame(step);
+    }
+    
+    /**
+     * Read slideshow timing and clip posters for the current images from project data
+     * @param {string|null} projectId - Project ID
+     */
+    loadSlideshowTiming(projectId) {
+        const project = projectId ? this.projects.find(p => p.id === projectId) : null;
+        const items = project ? Renderers.getPreviewItems(project) : [];
+        const itemFor = src => items.find(i => i.src === src) || {};
+        
+        this.currentDelay = (project && project.slideshowDelay) || null;
+        this.currentDurations = this.currentImages.map(src => itemFor(src).duration || null);
+        this.currentPosters = this.currentImages.map(src => itemFor(src).poster || null);
+    }
+    
+    /**
+     * How long an image stays up before the next one
+     * Clips without a duration play through once (but never for less than the delay)
+     * @param {number} index - Image index
+     * @returns {number} Milliseconds
+     */
+    getSlideDuration(index) {
+        if (this.currentDurations[index]) return this.currentDurations[index];
+        
+        const delay = this.currentDelay || this.slideshowDelay;
+        const clip = this.previewVideo;
+        if (Renderers.isVideo(this.currentImages[index]) && clip && Number.isFinite(clip.duration)) {
+            return Math.max(delay, clip.duration * 1000);
+        }
+        return delay;
     }
     
     /**
@@ -147,10 +384,12 @@ class ContentLoader {
             }
         });
         
-        // Preload all unique URLs
+        // Preload all unique URLs; clips go through ImageLoader, which knows how to load them
         const uniqueUrls = [...new Set(allUrls)];
         uniqueUrls.forEach(url => {
-            if (!this.preloadedImages.has(url)) {
+            if (Renderers.isVideo(url)) {
+                if (window.imageLoader) window.imageLoader.preloadVideo(url);
+            } else if (!this.preloadedImages.has(url)) {
                 const img = new Image();
                 img.src = url;
                 this.preloadedImages.add(url);
@@ -159,14 +398,49 @@ class ContentLoader {
     }
     
     /**
-     * Hide preview box
+     * Show a preview and keep it open until unpinned (keyboard Space on a row)
+     * While pinned, hovering other rows doesn't replace or hide it
+     * @param {string|string[]} images - Single image URL or array of image URLs
+     * @param {string} [projectId] - Project ID for slideshow timing
+     */
+    pinPreviewBox(images, projectId = null) {
+        this.isPreviewPinned = false;
+        this.showPreviewBox(images, projectId);
+        this.isPreviewPinned = this.isPreviewVisible;
+    }
+    
+    /**
+     * Release a pinned preview and hide it
+     */
+    unpinPreviewBox() {
+        this.isPreviewPinned = false;
+        this.hidePreviewBox();
+    }
+    
+    /**
+     * Hide preview box (unless pinned)
+     * Waits briefly so the pointer can move from a row onto the box controls
      */
     hidePreviewBox() {
-        if (!this.previewBox) return;
-        
-        this.previewBox.classList.remove('is-visible');
-        this.isPreviewVisible = false;
-        this.stopSlideshow();
+        this.cancelShowPreviewBox();
+        if (!this.previewBox || this.isPreviewPinned || this.isPointerInControls) return;
+        
+        this.cancelHidePreviewBox();
+        this.previewHideTimer = setTimeout(() => {
+            this.previewHideTimer = null;
+            this.previewBox.classList.remove('is-visible');
+            this.isPreviewVisible = false;
+            this.currentProjectId = null;
+            this.stopSlideshow();
+            this.syncPreviewVideo();
+        }, this.previewHideDelay);
+    }
+    
+    cancelHidePreviewBox() {
+        if (this.previewHideTimer) {
+            clearTimeout(this.previewHideTimer);
+            this.previewHideTimer = null;
+        }
     }
     
     /**
@@ -178,6 +452,13 @@ class ContentLoader {
         if (!this.previewImg || this.currentImages.length === 0) return;
         
         const imageUrl = this.currentImages[this.currentImageIndex];
+        
+        if (Renderers.isVideo(imageUrl)) {
+            this.updatePreviewVideo(imageUrl, this.currentPosters[this.currentImageIndex]);
+            return;
+        }
+        this.hidePreviewVideo();
+        
         const isReady = this.isImageReady(imageUrl);
         
         if (instant || isReady) {
@@ -205,8 +486,60 @@ class ContentLoader {
         }
     }
     
+    /**
+     * Show a clip in the preview box
+     * The poster (if any) sits behind it as the still, so there's no blank frame while it loads
+     * @param {string} url - Video URL
+     * @param {string|null} poster - Poster image URL
+     */
+    updatePreviewVideo(url, poster) {
+        if (!this.previewVideo) return;
+        
+        this.previewImg.style.backgroundImage = poster ? `url('${poster}')` : 'none';
+        this.previewImg.classList.remove('transitioning');
+        
+        if (this.previewVideo.getAttribute('src') !== url) {
+            this.previewVideo.src = url;
+            if (poster) {
+                this.previewVideo.poster = poster;
+            } else {
+                this.previewVideo.removeAttribute('poster');
+            }
+        }
+        this.previewVideo.currentTime = 0;
+        this.previewVideo.hidden = false;
+        this.updateIndicatorActive();
+        
+        if (window.imageLoader) {
+            window.imageLoader.preloadVideo(url);
+        }
+        this.syncPreviewVideo();
+    }
+    
+    hidePreviewVideo() {
+        if (!this.previewVideo || this.previewVideo.hidden) return;
+        
+        this.previewVideo.pause();
+        this.previewVideo.hidden = true;
+    }
+    
+    /**
+     * Play the current clip only while the box is up, the tab is visible and autoplay isn't paused
+     */
+    syncPreviewVideo() {
+        if (!this.previewVideo || this.previewVideo.hidden) return;
+        
+        const shouldPlay = this.isPreviewVisible && !this.isSlideshowPaused && !document.hidden;
+        if (shouldPlay) {
+            this.previewVideo.play().catch(() => {});
+        } else {
+            this.previewVideo.pause();
+        }
+    }
+    
     /**
      * Update indicator dots for slideshow
+     * Dots are buttons: click or hover one to jump to its image
      */
     updateIndicators() {
         if (!this.previewIndicators) return;
@@ -214,23 +547,31 @@ class ContentLoader {
         // Clear existing indicators
         this.previewIndicators.innerHTML = '';
         
-        // Only show indicators if multiple images
-        if (this.currentImages.length <= 1) {
-            this.previewIndicators.style.display = 'none';
-            return;
+        // Only show indicators (and play/pause) if multiple images
+        const single = this.currentImages.length <= 1;
+        if (this.previewControls) {
+            this.previewControls.hidden = single;
         }
-        
-        this.previewIndicators.style.display = 'flex';
+        if (single) return;
         
         // Create indicator dots
         this.currentImages.forEach((_, index) => {
-            const dot = document.createElement('span');
-            dot.className = 'preview-indicator-dot';
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'preview-indicator-dot cursor-interact';
+            dot.dataset.index = index;
+            dot.setAttribute('aria-label', `Show image ${index + 1} of ${this.currentImages.length}`);
             if (index === this.currentImageIndex) {
                 dot.classList.add('active');
             }
             this.previewIndicators.appendChild(dot);
         });
+        
+        this.updateSlideshowToggle();
+        
+        if (window.customCursor) {
+            window.customCursor.refresh();
+        }
     }
     
     /**
@@ -245,28 +586,143 @@ class ContentLoader {
         });
     }
     
+    /**
+     * Wire up the box controls, and pause autoplay when it shouldn't run
+     */
+    setupSlideshowControls() {
+        if (this.previewIndicators) {
+            const jump = (e) => {
+                const dot = e.target.closest('.preview-indicator-dot');
+                if (dot) this.showSlide(Number(dot.dataset.index));
+            };
+            this.previewIndicators.addEventListener('click', jump);
+            this.previewIndicators.addEventListener('mouseover', jump);
+        }
+        
+        if (this.previewToggle) {
+            this.previewToggle.addEventListener('click', () => this.toggleSlideshow());
+        }
+        
+        // Hovering the controls keeps the box open and holds the current image
+        if (this.previewControls) {
+            this.previewControls.addEventListener('mouseenter', () => {
+                this.isPointerInControls = true;
+                this.cancelHidePreviewBox();
+                this.stopSlideshow();
+            });
+            this.previewControls.addEventListener('mouseleave', () => {
+                this.isPointerInControls = false;
+                this.startSlideshow();
+                this.hidePreviewBox();
+            });
+        }
+        
+        // A clip's length is only known once its metadata arrives; re-time its slide then
+        if (this.previewVideo) {
+            this.previewVideo.addEventListener('loadedmetadata', () => {
+                if (this.slideshowTimer && !this.currentDurations[this.currentImageIndex]) {
+                    this.startSlideshow();
+                }
+            });
+        }
+        
+        // Background tabs don't need to cycle images
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.stopSlideshow();
+            } else {
+                this.startSlideshow();
+            }
+            this.syncPreviewVideo();
+        });
+        
+        this.reducedMotionQuery.addEventListener('change', (e) => {
+            if (this.hasChosenPlayback) return;
+            
+            this.isSlideshowPaused = e.matches;
+            this.updateSlideshowToggle();
+            if (e.matches) {
+                this.stopSlideshow();
+            } else {
+                this.startSlideshow();
+            }
+            this.syncPreviewVideo();
+        });
+    }
+    
+    /**
+     * Whether the slideshow should be advancing right now
+     */
+    canAutoplay() {
+        return this.isPreviewVisible
+            && this.currentImages.length > 1
+            && !this.isSlideshowPaused
+            && !this.isPointerInControls
+            && !document.hidden;
+    }
+    
     /**
      * Start slideshow cycling through images
+     * A timeout chain rather than an interval, since each image can have its own duration
      */
     startSlideshow() {
-        if (this.currentImages.length <= 1) return;
+        this.stopSlideshow();
+        if (!this.canAutoplay()) return;
         
-        this.slideshowInterval = setInterval(() => {
+        this.slideshowTimer = setTimeout(() => {
+            this.slideshowTimer = null;
             this.currentImageIndex = (this.currentImageIndex + 1) % this.currentImages.length;
             this.updatePreviewImage();
-        }, this.slideshowDelay);
+            this.startSlideshow();
+        }, this.getSlideDuration(this.currentImageIndex));
     }
     
     /**
      * Stop the slideshow
      */
     stopSlideshow() {
-        if (this.slideshowInterval) {
-            clearInterval(this.slideshowInterval);
-            this.slideshowInterval = null;
+        if (this.slideshowTimer) {
+            clearTimeout(this.slideshowTimer);
+            this.slideshowTimer = null;
         }
     }
     
+    /**
+     * Jump to an image; the next one follows after that image's full duration
+     * @param {number} index - Image index
+     */
+    showSlide(index) {
+        if (index === this.currentImageIndex || !this.currentImages[index]) return;
+        
+        this.currentImageIndex = index;
+        this.updatePreviewImage();
+        this.startSlideshow();
+    }
+    
+    /**
+     * Pause or resume autoplay; the choice sticks across rows
+     */
+    toggleSlideshow() {
+        this.hasChosenPlayback = true;
+        this.isSlideshowPaused = !this.isSlideshowPaused;
+        this.updateSlideshowToggle();
+        
+        if (this.isSlideshowPaused) {
+            this.stopSlideshow();
+        } else {
+            this.startSlideshow();
+        }
+        this.syncPreviewVideo();
+    }
+    
+    updateSlideshowToggle() {
+        if (!this.previewToggle) return;
+        
+        this.previewToggle.classList.toggle('is-paused', this.isSlideshowPaused);
+        this.previewToggle.setAttribute('aria-pressed', String(this.isSlideshowPaused));
+        this.previewToggle.setAttribute('aria-label', this.isSlideshowPaused ? 'Play slideshow' : 'Pause slideshow');
+    }
+    
     /**
      * Load updates from JSON file
      */
@@ -274,49 +730,72 @@ class ContentLoader {
         if (!this.updatesContainer) return;
         
         try {
-            const response = await fetch('data/updates.json');
-            const data = await response.json();
+            const data = await Pages.load('updates');
             
-            this.renderUpdates(data.updates);
+            // File order doesn't matter; newest always comes first
+            this.renderUpdates(Dates.sortNewestFirst(data.updates));
         } catch (error) {
             console.error('Failed to load updates:', error);
-            this.updatesContainer.innerHTML = `
-                <div class="update-item">
-                    <span class="update-date">Error</span>
-                    <span class="update-text">Failed to load updates. Please refresh the page.</span>
-                </div>
-            `;
+            this.updatesContainer.innerHTML = Renderers.updateMessage(
+                'Error', 'Failed to load updates. Please refresh the page.'
+            );
         }
     }
     
     /**
-     * Render updates to the DOM
+     * Render the latest updates to the DOM
+     * Only the first page is shown; the rest sit behind "show more"
      */
     renderUpdates(updates) {
-        if (!updates || updates.length === 0) {
-            this.updatesContainer.innerHTML = `
-                <div class="update-item">
-                    <span class="update-date">-</span>
-                    <span class="update-text">No updates available.</span>
-                </div>
-            `;
-            return;
+        this.updates = updates || [];
+        this.visibleUpdates = this.updatesPerPage;
+        this.renderInto(this.updatesContainer, Renderers.updatesPage(this.updates, this.visibleUpdates, this.dateFormat));
+        this.setupShowMore();
+    }
+    
+    /**
+     * Wire up the "show more" control under the updates list
+     */
+    setupShowMore() {
+        const button = this.updatesContainer.querySelector('.updates-more-btn');
+        if (!button) return;
+        
+        button.addEventListener('click', () => this.showMoreUpdates());
+        
+        if (window.customCursor) {
+            window.customCursor.refresh();
         }
+    }
+    
+    /**
+     * Reveal the next page of updates
+     */
+    showMoreUpdates() {
+        this.visibleUpdates += this.updatesPerPage;
+        this.renderInto(this.updatesContainer, Renderers.updatesPage(this.updates, this.visibleUpdates, this.dateFormat));
+        this.setupShowMore();
+    }
+    
+    /**
+     * Render the updates archive, grouped by year
+     * @param {string} [year] - Year to scroll to (from #updates/<year>)
+     */
+    renderUpdatesArchive(year) {
+        if (!this.updatesArchiveContainer) return;
         
-        const html = updates.map(update => {
-            const linkHtml = update.link 
-                ? ` <a href="${update.link}" class="update-link">${update.linkText || '(link)'}</a>` 
-                : '';
-            
-            return `
-                <div class="update-item">
-                    <span class="update-date">${update.date}</span>
-                    <span class="update-text">${update.text}${linkHtml}</span>
-                </div>
-            `;
-        }).join('');
+        this.updatesArchiveContainer.innerHTML = Renderers.updatesArchive(this.updates, year, this.dateFormat);
+        
+        if (window.customCursor) {
+            window.customCursor.refresh();
+        }
         
-        this.updatesContainer.innerHTML = html;
+        // Navigation scrolls to top first; jump to the requested year after that
+        const group = year && document.getElementById(`updates-year-${year}`);
+        if (group) {
+            requestAnimationFrame(() => {
+                group.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+        }
     }
     
     /**
@@ -326,22 +805,14 @@ class ContentLoader {
         if (!this.projectsContainer) return;
         
         try {
-            const response = await fetch('data/projects.json');
-            const data = await response.json();
+            const data = await Pages.load('projects');
             
-            // Collect all preview images for preloading
-            const previewImages = [];
-            data.projects.forEach(project => {
-                if (project.previewImages && Array.isArray(project.previewImages)) {
-                    previewImages.push(...project.previewImages);
-                } else if (project.previewImage) {
-                    if (Array.isArray(project.previewImage)) {
-                        previewImages.push(...project.previewImage);
-                    } else {
-                        previewImages.push(project.previewImage);
-                    }
-                }
-            });
+            this.projects = data.projects;
+            this.projectsStatus = 'loaded';
+            
+            // Collect all preview images (and clip posters) for preloading
+            const previewImages = data.projects.flatMap(project => Renderers.getPreviewItems(project)
+                .flatMap(item => (item.poster ? [item.src, item.poster] : [item.src])));
             
             // Start preloading images immediately
             this.preloadImages(previewImages);
@@ -349,23 +820,8 @@ class ContentLoader {
             this.renderProjects(data.projects);
         } catch (error) {
             console.error('Failed to load projects:', error);
-            this.projectsContainer.innerHTML = `
-                <div class="project-item active">
-                    <ul class="project-content">
-                        <li class="project-column year"><p>-</p></li>
-                        <li class="project-column title"><p>Failed to load projects</p></li>
-                        <li class="project-column category"><p>-</p></li>
-                        <li class="project-column arrow">
-                            <span class="project-arrow">
-                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                    <line x1="5" y1="12" x2="19" y2="12"></line>
-                                    <polyline points="12 5 19 12 12 19"></polyline>
-                                </svg>
-                            </span>
-                        </li>
-                    </ul>
-                </div>
-            `;
+            this.projectsStatus = 'failed';
+            this.projectsContainer.innerHTML = Renderers.projectMessageRow('Failed to load projects');
         }
     }
     
@@ -374,76 +830,37 @@ class ContentLoader {
      * Supports both single previewImage (string) and previewImage(s) (array)
      */
     renderProjects(projects) {
-        if (!projects || projects.length === 0) {
-            this.projectsContainer.innerHTML = `
-                <div class="project-item active">
-                    <ul class="project-content">
-                        <li class="project-column year"><p>-</p></li>
-                        <li class="project-column title"><p>No projects available</p></li>
-                        <li class="project-column category"><p>-</p></li>
-                        <li class="project-column arrow">
-                            <span class="project-arrow">
-                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                    <line x1="5" y1="12" x2="19" y2="12"></line>
-                                    <polyline points="12 5 19 12 12 19"></polyline>
-                                </svg>
-                            </span>
-                        </li>
-                    </ul>
-                </div>
-            `;
-            return;
+        if (this.projectHeader) {
+            this.renderInto(this.projectHeader, Renderers.projectHeader());
         }
-        
-        const html = projects.map(project => {
-            const tag = project.link ? 'a' : 'div';
-            const linkAttrs = project.link 
-                ? `href="${project.link}" target="_blank" rel="noopener noreferrer"` 
-                : '';
-            
-            // Support both previewImage (string) and previewImages (array)
-            let previewAttr = '';
-            if (project.previewImages && Array.isArray(project.previewImages)) {
-                previewAttr = `data-preview='${JSON.stringify(project.previewImages)}'`;
-            } else if (project.previewImage) {
-                if (Array.isArray(project.previewImage)) {
-                    previewAttr = `data-preview='${JSON.stringify(project.previewImage)}'`;
-                } else {
-                    previewAttr = `data-preview='${JSON.stringify([project.previewImage])}'`;
-                }
-            }
-            
-            return `
-                <${tag} class="project-item active cursor-interact"
-                     ${linkAttrs}
-                     data-id="${project.id}"
-                     data-year="${project.year}"
-                     data-title="${project.title}"
-                     data-category="${project.category}"
-                     ${previewAttr}>
-                    <ul class="project-content">
-                        <li class="project-column year"><p>${project.year}</p></li>
-                        <li class="project-column title"><p>${project.title}</p></li>
-                        <li class="project-column category"><p>${project.category}</p></li>
-                        <li class="project-column arrow">
-                            <span class="project-arrow">
-                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                    <line x1="5" y1="12" x2="19" y2="12"></line>
-                                    <polyline points="12 5 19 12 12 19"></polyline>
-                                </svg>
-                            </span>
-                        </li>
-                    </ul>
-                </${tag}>
-            `;
-        }).join('');
-        
-        this.projectsContainer.innerHTML = html;
+        this.renderInto(this.projectsContainer, Renderers.projectList(projects));
         
         // Set up hover listeners after rendering
         this.setupHoverListeners();
     }
     
+    /**
+     * Render markup into a container, hydrating prerendered markup if it's current
+     * scripts/prerender.js stamps containers with a hash of the markup it baked in;
+     * if ours matches, the existing nodes are kept and only listeners get attached
+     * @param {HTMLElement} container - Target container
+     * @param {SafeHtml|string} markup - Markup from Renderers
+     * @returns {boolean} Whether existing nodes were hydrated
+     */
+    renderInto(container, markup) {
+        const html = String(markup);
+        const prerendered = container.dataset.prerendered;
+        
+        if (prerendered && prerendered === Template.hash(html)) {
+            return true;
+        }
+        
+        // Stale or absent prerender: replace it
+        delete container.dataset.prerendered;
+        container.innerHTML = html;
+        return false;
+    }
+    
     /**
      * Set up hover listeners for project items
      */
@@ -456,9 +873,9 @@ class ContentLoader {
                 if (previewData) {
                     try {
                         const images = JSON.parse(previewData);
-                        this.showPreviewBox(images);
+                        this.queuePreviewBox(images, item.dataset.id);
                     } catch (e) {
-                        this.showPreviewBox(previewData);
+                        this.queuePreviewBox(previewData, item.dataset.id);
                     }
                 }
             });
@@ -470,84 +887,79 @@ class ContentLoader {
     }
     
     /**
-     * Add a single update dynamically
+     * Render the not-found view
+     * @param {string} path - The unmatched route path
      */
-    addUpdate(update) {
-        const updateElement = document.createElement('div');
-        updateElement.className = 'update-item';
+    renderNotFound(path) {
+        if (!this.notFoundContainer) return;
+        
+        this.notFoundContainer.innerHTML = Renderers.notFound(path);
+        
+        if (window.customCursor) {
+            window.customCursor.refresh();
+        }
+    }
+    
+    /**
+     * Find a project by slug, or by ID for older links
+     * @param {string} id - Slug or ID from the route
+     * @returns {Object|null}
+     */
+    findProject(id) {
+        return this.projects.find(p => p.slug === id) || this.projects.find(p => p.id === id) || null;
+    }
+    
+    /**
+     * Render the detail view for a single project
+     * @param {string} id - Project slug (or ID, for older links) from the route
+     */
+    renderProjectDetail(id) {
+        if (!this.projectDetailContainer) return;
         
-        const linkHtml = update.link 
-            ? ` <a href="${update.link}" class="update-link">${update.linkText || '(link)'}</a>` 
-            : '';
+        const project = this.findProject(id);
         
-        updateElement.innerHTML = `
-            <span class="update-date">${update.date}</span>
-            <span class="update-text">${update.text}${linkHtml}</span>
-        `;
+        // Data may still be loading; init() renders again once it has loaded or failed
+        const missingTitle = {
+            loading: 'Loading...',
+            failed: 'Failed to load projects'
+        }[this.projectsStatus] || 'Project not found';
+        
+        this.projectDetailContainer.innerHTML = Renderers.projectDetail(project, missingTitle);
+        
+        // Refresh cursor for new links
+        if (window.customCursor) {
+            window.customCursor.refresh();
+        }
+    }
+    
+    /**
+     * Add a single update dynamically
+     */
+    addUpdate(update) {
+        const updateElement = Template.toElement(Renderers.updateItem(update, this.dateFormat));
         
         // Insert at the beginning
         this.updatesContainer.insertBefore(updateElement, this.updatesContainer.firstChild);
+        this.updates.unshift(update);
+        this.visibleUpdates += 1;
     }
     
     /**
      * Add a single project dynamically
      */
     addProject(project) {
-        const tag = project.link ? 'a' : 'div';
-        const projectElement = document.createElement(tag);
-        
-        projectElement.className = 'project-item active cursor-interact';
-        projectElement.dataset.id = project.id;
-        projectElement.dataset.year = project.year;
-        projectElement.dataset.title = project.title;
-        projectElement.dataset.category = project.category;
-        
-        // Handle preview images
-        let previewImages = null;
-        if (project.previewImages && Array.isArray(project.previewImages)) {
-            projectElement.dataset.preview = JSON.stringify(project.previewImages);
-            previewImages = project.previewImages;
-        } else if (project.previewImage) {
-            if (Array.isArray(project.previewImage)) {
-                projectElement.dataset.preview = JSON.stringify(project.previewImage);
-                previewImages = project.previewImage;
-            } else {
-                projectElement.dataset.preview = JSON.stringify([project.previewImage]);
-                previewImages = [project.previewImage];
-            }
-        }
+        const projectElement = Template.toElement(Renderers.projectRow(project));
         
         // Preload images for this project
-        if (previewImages) {
+        const previewImages = Renderers.getPreviewImages(project);
+        if (previewImages.length) {
             this.preloadImages(previewImages);
         }
         
-        if (project.link) {
-            projectElement.href = project.link;
-            projectElement.target = "_blank";
-            projectElement.rel = "noopener noreferrer";
-        }
-        
-        projectElement.innerHTML = `
-            <ul class="project-content">
-                <li class="project-column year"><p>${project.year}</p></li>
-                <li class="project-column title"><p>${project.title}</p></li>
-                <li class="project-column category"><p>${project.category}</p></li>
-                <li class="project-column arrow">
-                    <span class="project-arrow">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <line x1="5" y1="12" x2="19" y2="12"></line>
-                            <polyline points="12 5 19 12 12 19"></polyline>
-                        </svg>
-                    </span>
-                </li>
-            </ul>
-        `;
-        
         // Add hover listeners if has preview
-        if (previewImages) {
+        if (previewImages.length) {
             projectElement.addEventListener('mouseenter', () => {
-                this.showPreviewBox(previewImages);
+                this.queuePreviewBox(previewImages, project.id);
             });
             
             projectElement.addEventListener('mouseleave', () => {
@@ -556,6 +968,7 @@ class ContentLoader {
         }
         
         this.projectsContainer.appendChild(projectElement);
+        this.projects.push(project);
         
         // Re-cache projects
         if (window.projectList) {
@@ -0,0 +1,142 @@
+/**
+ * ============================================
+ * DATES.JS
+ * Date model for updates: parses ISO (YYYY-MM-DD)
+ * and legacy (MM-DD-YYYY) dates, sorts, and formats
+ * them per locale or relative to now
+ * Dates are calendar days, so everything is UTC
+ * ============================================
+ */
+
+class Dates {
+    /**
+     * Parse an ISO or legacy date string
+     * @param {string} value - "2025-11-21", "2025-11-21T10:00:00Z" or "11-21-2025"
+     * @returns {Date|null} Midnight UTC on that day, or null if invalid
+     */
+    static parse(value) {
+        if (typeof value !== 'string') return null;
+
+        let match = /^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/.exec(value.trim());
+        let year, month, day;
+
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else {
+            match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value.trim());
+            if (!match) return null;
+            [, month, day, year] = match.map(Number);
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+
+        // Reject rollovers like 02-31
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+        return date;
+    }
+
+    /**
+     * ISO calendar date for <time datetime> and feeds
+     * @param {Date} date
+     * @returns {string} YYYY-MM-DD
+     */
+    static toISODate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Sort items newest first by a date field
+     * Stable, so same-day items keep file order; unparseable dates go last
+     * @param {Object[]} items - Items to sort (not mutated)
+     * @param {string} field - Date field name
+     * @returns {Object[]}
+     */
+    static sortNewestFirst(items, field = 'date') {
+        return items
+            .map((item, index) => ({ item, index, time: Dates.parse(item[field])?.getTime() ?? -Infinity }))
+            .sort((a, b) => (b.time - a.time) || (a.index - b.index))
+            .map(entry => entry.item);
+    }
+
+    /**
+     * Format a date for display
+     * @param {Date} date
+     * @param {Object} options - { locale, style } where style is an Intl dateStyle or 'iso'
+     * @returns {string}
+     */
+    static format(date, options = Dates.defaults) {
+        const { locale, style } = { ...Dates.defaults, ...options };
+
+        if (style === 'iso') return Dates.toISODate(date);
+
+        return new Intl.DateTimeFormat(locale || undefined, {
+            dateStyle: style,
+            timeZone: 'UTC'
+        }).format(date);
+    }
+
+    /**
+     * Relative form, e.g. "3 weeks ago" or "yesterday"
+     * @param {Date} date
+     * @param {Object} options - { locale, now }
+     * @returns {string}
+     */
+    static relative(date, options = {}) {
+        const { locale } = { ...Dates.defaults, ...options };
+        const now = options.now || new Date();
+        const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+        const days = Math.round((date.getTime() - today) / 86400000);
+        const formatter = new Intl.RelativeTimeFormat(locale || undefined, { numeric: 'auto' });
+
+        const units = [
+            ['year', 365],
+            ['month', 30],
+            ['week', 7],
+            ['day', 1]
+        ];
+
+        for (const [unit, size] of units) {
+            if (Math.abs(days) >= size || unit === 'day') {
+                return formatter.format(Math.round(days / size), unit);
+            }
+        }
+    }
+
+    /**
+     * Display text and metadata for a date string
+     * @param {string} value - Raw date from data
+     * @param {Object} options - Display options (see Dates.defaults)
+     * @returns {{iso: string|null, text: string, title: string|null}}
+     */
+    static display(value, options = Dates.defaults) {
+        const date = Dates.parse(value);
+        if (!date) return { iso: null, text: String(value ?? ''), title: null };
+
+        const absolute = Dates.format(date, options);
+
+        return options.relative
+            ? { iso: Dates.toISODate(date), text: Dates.relative(date, options), title: absolute }
+            : { iso: Dates.toISODate(date), text: absolute, title: null };
+    }
+}
+
+/**
+ * Default display options
+ * locale: pinned so prerendered dates (scripts/prerender.js) match what every visitor's
+ *         browser renders; null would use the local locale and break hydration outside it
+ * style: 'short' | 'medium' | 'long' | 'full' | 'iso'
+ * relative: show "3 weeks ago" with the absolute date as a tooltip
+ */
+Dates.defaults = {
+    locale: 'en-US',
+    style: 'medium',
+    relative: false
+};
+
+// Expose for the browser and for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Dates;
+} else {
+    window.Dates = Dates;
+}
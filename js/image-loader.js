@@ -4,6 +4,7 @@
  * High-performance image loading system
  * Provides instant image display through preloading,
  * caching, and intelligent prefetching
+ * Preview clips (mp4/webm) share the same cache
  * ============================================
  */
 
@@ -82,6 +83,11 @@ class ImageLoader {
             return this.cache.get(src);
         }
         
+        // Preview lists can mix stills and clips
+        if (window.Renderers && Renderers.isVideo(src)) {
+            return this.preloadVideo(src);
+        }
+        
         // Create loading promise
         const loadPromise = new Promise((resolve, reject) => {
             const img = new Image();
@@ -122,6 +128,42 @@ class ImageLoader {
         return loadPromise;
     }
     
+    /**
+     * Preload a muted preview clip
+     * Resolves once the first frame can be shown; the browser keeps buffering after that
+     * @param {string} src - Video URL
+     * @returns {Promise} Resolves when the clip can start playing
+     */
+    preloadVideo(src) {
+        if (this.cache.has(src)) {
+            return this.cache.get(src);
+        }
+        
+        const loadPromise = new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'auto';
+            
+            video.addEventListener('loadeddata', () => {
+                this.log(`Loaded video: ${src}`);
+                resolve(src);
+            }, { once: true });
+            
+            video.addEventListener('error', () => {
+                this.cache.delete(src);
+                reject(new Error(`Failed to load: ${src}`));
+            }, { once: true });
+            
+            video.src = src;
+            video.load();
+        });
+        
+        this.cache.set(src, loadPromise);
+        
+        return loadPromise;
+    }
+    
     /**
      * Preload multiple images with controlled concurrency
      * @param {string[]} urls - Array of image URLs
@@ -10,17 +10,42 @@ class ProjectList {
         // Elements
         this.projectList = document.getElementById('projectList');
         this.projects = [];
-        this.filterButtons = document.querySelectorAll('.filter-btn');
+        this.projectHeader = document.getElementById('projectHeader');
         this.searchInput = document.getElementById('search');
+        this.tagFilter = document.getElementById('tagFilter');
+        this.groupControl = document.getElementById('groupBy');
+        this.layoutControl = document.getElementById('layoutToggle');
+        this.searchResults = document.getElementById('searchResults');
         
-        // State
+        // State (mirrored in the URL, e.g. /projects?sort=category&dir=asc&q=bias)
         this.currentSort = 'year';
         this.sortDirection = 'desc'; // desc = newest first
         this.searchQuery = '';
+        this.selectedTags = new Set();
+        this.tagMatchMode = 'any'; // any = OR, all = AND
+        this.groupBy = 'none'; // none, year, category or tag (a row under each of its tags)
+        this.groupModes = ['none', 'year', 'category', 'tag'];
+        this.collapsedStorageKey = 'projects.collapsedGroups';
+        this.collapsedGroups = this.loadCollapsedGroups(); // "mode:key" entries
+        this.layoutStorageKey = 'projects.layout';
+        this.layout = this.loadLayout(); // list (table) or grid (cards)
+        this.cardSlideshow = null; // { img, images, timer } for the hovered card
+        this.focusedId = null; // Project whose row holds the roving tab stop
+        this.focusedRow = null; // ...and which of its rows, when grouped by tag
+        this.pinnedId = null; // Row whose preview is pinned open
+        this.previewFromFocus = false;
         
         // Bind methods
         this.onFilterClick = this.onFilterClick.bind(this);
         this.onSearch = this.onSearch.bind(this);
+        this.onTagFilterClick = this.onTagFilterClick.bind(this);
+        this.onGroupClick = this.onGroupClick.bind(this);
+        this.onGroupToggle = this.onGroupToggle.bind(this);
+        this.onLayoutClick = this.onLayoutClick.bind(this);
+        this.onPageChange = this.onPageChange.bind(this);
+        this.onListKeyDown = this.onListKeyDown.bind(this);
+        this.onRowFocus = this.onRowFocus.bind(this);
+        this.onRowBlur = this.onRowBlur.bind(this);
         
         // Initialize
         this.init();
@@ -32,27 +57,149 @@ class ProjectList {
         // Cache project data
         this.cacheProjects();
         
-        // Set up filter buttons
-        this.filterButtons.forEach(btn => {
-            btn.addEventListener('click', this.onFilterClick);
-        });
+        // Set up sort buttons (delegated, since the header is generated from Renderers.columns)
+        if (this.projectHeader) {
+            this.projectHeader.addEventListener('click', this.onFilterClick);
+        }
+        this.updateFilterButtons();
         
         // Set up search
         if (this.searchInput) {
             this.searchInput.addEventListener('input', this.onSearch);
         }
         
+        // Set up tag chips (delegated, since chips are re-rendered)
+        if (this.tagFilter) {
+            this.tagFilter.addEventListener('click', this.onTagFilterClick);
+        }
+        
+        // Group-by buttons and section headers (delegated, since sections are rebuilt)
+        if (this.groupControl) {
+            this.groupControl.addEventListener('click', this.onGroupClick);
+        }
+        this.projectList.addEventListener('click', this.onGroupToggle);
+        
+        // Layout toggle (restored from the last visit)
+        if (this.layoutControl) {
+            this.layoutControl.addEventListener('click', this.onLayoutClick);
+        }
+        this.applyLayout();
+        
+        // Keyboard navigation (delegated, since rows are cloned and re-rendered)
+        this.projectList.addEventListener('keydown', this.onListKeyDown);
+        this.projectList.addEventListener('focusin', this.onRowFocus);
+        this.projectList.addEventListener('focusout', this.onRowBlur);
+        
+        // Restore state from the URL on load and on back/forward
+        window.addEventListener('pageChange', this.onPageChange);
+        window.addEventListener('queryChange', this.onPageChange);
+        
         // Set up project click handlers
         this.setupProjectClicks();
     }
     
+    /**
+     * Apply URL state whenever the projects page is shown or its query changes
+     */
+    onPageChange(e) {
+        if (e.detail.page !== 'projects') return;
+        this.applyQuery(e.detail.query);
+    }
+    
+    /**
+     * Restore sort, search and tag state from URL params
+     * Unknown or missing values fall back to the defaults
+     * @param {URLSearchParams} query - e.g. sort=category&dir=asc&q=bias&tags=Research&match=all&group=year
+     */
+    applyQuery(query) {
+        const sortKeys = this.getSortColumns().map(column => column.field);
+        
+        this.currentSort = sortKeys.includes(query.get('sort')) ? query.get('sort') : 'year';
+        this.sortDirection = query.get('dir') === 'asc' ? 'asc' : 'desc';
+        this.searchQuery = (query.get('q') || '').trim();
+        this.selectedTags = new Set((query.get('tags') || '').split(',').filter(Boolean));
+        this.tagMatchMode = query.get('match') === 'all' ? 'all' : 'any';
+        this.groupBy = this.groupModes.includes(query.get('group')) ? query.get('group') : 'none';
+        
+        if (this.searchInput) {
+            this.searchInput.value = this.searchQuery;
+        }
+        this.updateFilterButtons();
+        this.updateGroupButtons();
+        
+        this.sortProjects();
+        this.renderProjects();
+    }
+    
+    /**
+     * Serialize state into URL params, leaving out defaults so plain /projects stays clean
+     * @returns {URLSearchParams}
+     */
+    toQuery() {
+        const query = new URLSearchParams();
+        
+        if (this.currentSort !== 'year') query.set('sort', this.currentSort);
+        if (this.sortDirection !== 'desc') query.set('dir', this.sortDirection);
+        if (this.searchQuery) query.set('q', this.searchQuery);
+        if (this.selectedTags.size) query.set('tags', [...this.selectedTags].join(','));
+        if (this.tagMatchMode !== 'any') query.set('match', this.tagMatchMode);
+        if (this.groupBy !== 'none') query.set('group', this.groupBy);
+        
+        return query;
+    }
+    
+    /**
+     * Write state to the URL
+     * @param {boolean} replace - Replace the history entry (used while typing)
+     */
+    syncQuery(replace = false) {
+        if (window.navigation && window.navigation.getCurrentPage() === 'projects') {
+            window.navigation.setQuery(this.toQuery(), replace);
+        }
+    }
+    
+    /**
+     * Columns that can be sorted by (see Renderers.columns)
+     */
+    getSortColumns() {
+        return Renderers.columns.filter(column => column.sortable);
+    }
+    
+    /**
+     * Mark the active sort button and expose its direction
+     */
+    updateFilterButtons() {
+        if (!this.projectHeader) return;
+        
+        this.projectHeader.querySelectorAll('.filter-btn').forEach(btn => {
+            const active = btn.dataset.sort === this.currentSort;
+            btn.classList.toggle('active', active);
+            if (active) {
+                btn.dataset.dir = this.sortDirection;
+            } else {
+                delete btn.dataset.dir;
+            }
+        });
+    }
+    
     /**
      * Cache project elements and their data
      */
     cacheProjects() {
+        // Rows are about to be replaced by clones
+        this.stopCardSlideshow();
+        
         const projectElements = this.projectList.querySelectorAll('.project-item');
         
-        this.projects = Array.from(projectElements).map(el => {
+        this.projects = Array.from(projectElements).map((el, index) => {
+            // Parse tags - JSON array of strings
+            let tags = [];
+            try {
+                tags = JSON.parse(el.dataset.tags || '[]');
+            } catch (e) {
+                tags = [];
+            }
+            
             // Parse preview data - can be string or JSON array
             let preview = null;
             if (el.dataset.preview) {
@@ -63,28 +210,56 @@ class ProjectList {
                 }
             }
             
+            // Sort values per sortable column, from data-<field> (camelCase fields map to dataset keys)
+            const values = {};
+            this.getSortColumns().forEach(column => {
+                const raw = el.dataset[column.field] || '';
+                values[column.field] = column.numeric ? (parseFloat(raw) || 0) : raw.toLowerCase();
+            });
+            
+            // Rendered text of plain (unformatted) cells, for search and highlighting
+            const texts = {};
+            Renderers.columns.forEach(column => {
+                const cell = el.querySelector(`.project-column.${column.field} p`);
+                if (cell && !column.formatter) {
+                    texts[column.field] = cell.textContent;
+                }
+            });
+            
             return {
                 element: el,
+                index: index,
                 id: el.dataset.id,
                 year: parseInt(el.dataset.year) || 0,
                 title: el.dataset.title?.toLowerCase() || '',
                 category: el.dataset.category?.toLowerCase() || '',
-                preview: preview
+                titleText: el.dataset.title || '',
+                categoryText: el.dataset.category || '',
+                tags: tags,
+                preview: preview,
+                values: values,
+                texts: texts,
+                copies: [] // Extra rows when the project is in several groups
             };
         });
         
         // Re-setup click handlers after caching
         this.setupProjectClicks();
         
-        // Re-setup hover listeners
-        this.setupHoverListeners();
+        // Freshly rendered rows come in data order; re-apply the current sort and filters
+        // (this also rebuilds the tag chips)
+        this.updateFilterButtons();
+        this.sortProjects();
+        this.renderProjects();
     }
     
     /**
      * Handle filter button clicks
      */
     onFilterClick(e) {
-        const btn = e.currentTarget;
+        const btn = e.target.closest('.filter-btn');
+        if (!btn) return;
+        
         const sortKey = btn.dataset.sort;
         
         // Toggle direction if same sort, otherwise reset to desc
@@ -96,86 +271,726 @@ class ProjectList {
         }
         
         // Update active states
-        this.filterButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+        this.updateFilterButtons();
         
         // Sort and render
         this.sortProjects();
         this.renderProjects();
+        this.syncQuery();
     }
     
     /**
      * Handle search input
+     * Replaces the history entry so typing doesn't flood back/forward
      */
     onSearch(e) {
-        this.searchQuery = e.target.value.toLowerCase().trim();
+        this.searchQuery = e.target.value.trim();
         this.filterProjects();
+        this.syncQuery(true);
     }
     
     /**
      * Sort projects array
+     * Ties fall back to title, then id, then original order, so the result is always the same
      */
     sortProjects() {
         const key = this.currentSort;
         const dir = this.sortDirection === 'desc' ? -1 : 1;
         
-        this.projects.sort((a, b) => {
-            let valA = a[key];
-            let valB = b[key];
-            
+        const compare = (valA, valB) => {
             // Handle string comparison
             if (typeof valA === 'string') {
-                return valA.localeCompare(valB) * dir;
+                return valA.localeCompare(valB);
             }
             
             // Handle number comparison
-            return (valA - valB) * dir;
+            return valA - valB;
+        };
+        
+        this.projects.sort((a, b) => {
+            return compare(a.values[key], b.values[key]) * dir
+                || compare(a.title, b.title)
+                || compare(a.id || '', b.id || '')
+                || a.index - b.index;
+        });
+    }
+    
+    /**
+     * Handle clicks in the tag chip bar (chips, match mode, clear)
+     */
+    onTagFilterClick(e) {
+        const chip = e.target.closest('[data-tag]');
+        const mode = e.target.closest('[data-tag-mode]');
+        const clear = e.target.closest('[data-tag-clear]');
+        
+        if (chip) {
+            const tag = chip.dataset.tag;
+            if (this.selectedTags.has(tag)) {
+                this.selectedTags.delete(tag);
+            } else {
+                this.selectedTags.add(tag);
+            }
+        } else if (mode) {
+            this.tagMatchMode = mode.dataset.tagMode;
+        } else if (clear) {
+            this.selectedTags.clear();
+        } else {
+            return;
+        }
+        
+        this.filterProjects();
+        this.syncQuery();
+    }
+    
+    /**
+     * Handle clicks on the group-by buttons
+     */
+    onGroupClick(e) {
+        const btn = e.target.closest('[data-group]');
+        if (!btn || btn.dataset.group === this.groupBy) return;
+        
+        this.groupBy = btn.dataset.group;
+        this.updateGroupButtons();
+        this.renderProjects();
+        this.syncQuery();
+    }
+    
+    /**
+     * Mark the active group-by button
+     */
+    updateGroupButtons() {
+        if (!this.groupControl) return;
+        
+        this.groupControl.querySelectorAll('[data-group]').forEach(btn => {
+            const active = btn.dataset.group === this.groupBy;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+    }
+    
+    /**
+     * Handle clicks on the list / grid buttons
+     */
+    onLayoutClick(e) {
+        const btn = e.target.closest('[data-layout]');
+        if (!btn || btn.dataset.layout === this.layout) return;
+        
+        this.layout = btn.dataset.layout;
+        this.applyLayout();
+        
+        try {
+            localStorage.setItem(this.layoutStorageKey, this.layout);
+        } catch (e) {
+            // Not persisted; the layout still holds for this visit
+        }
+    }
+    
+    /**
+     * Last chosen layout, defaulting to the table
+     */
+    loadLayout() {
+        try {
+            return localStorage.getItem(this.layoutStorageKey) === 'grid' ? 'grid' : 'list';
+        } catch (e) {
+            return 'list';
+        }
+    }
+    
+    /**
+     * Switch the list between table rows and cards
+     * Both use the same elements, so sorting, filtering and groups carry over
+     */
+    applyLayout() {
+        const grid = this.layout === 'grid';
+        
+        this.stopCardSlideshow();
+        this.projectList.classList.toggle('is-grid', grid);
+        
+        // The floating preview box belongs to the table
+        if (grid && window.contentLoader) {
+            window.contentLoader.hidePreviewBox();
+        }
+        
+        if (this.layoutControl) {
+            this.layoutControl.querySelectorAll('[data-layout]').forEach(btn => {
+                const active = btn.dataset.layout === this.layout;
+                btn.classList.toggle('active', active);
+                btn.setAttribute('aria-pressed', String(active));
+            });
+        }
+    }
+    
+    /**
+     * Cycle a card's thumbnail through its stills while it's hovered or focused
+     * @param {Object} project - Cached project
+     * @param {HTMLElement} [row] - The card being hovered, when the project has several
+     */
+    startCardSlideshow(project, row = project.element) {
+        this.stopCardSlideshow();
+        
+        const img = row.querySelector('.project-card-media img[data-slides]');
+        if (!img || window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+        
+        let images;
+        try {
+            images = JSON.parse(img.dataset.slides);
+        } catch (e) {
+            return;
+        }
+        
+        const loader = window.contentLoader;
+        const data = loader && loader.projects.find(p => p.id === project.id);
+        const delay = (data && data.slideshowDelay) || (loader ? loader.slideshowDelay : 2500);
+        let index = 0;
+        
+        this.cardSlideshow = {
+            img,
+            images,
+            timer: setInterval(() => {
+                index = (index + 1) % images.length;
+                img.src = images[index];
+            }, delay)
+        };
+    }
+    
+    /**
+     * Stop the card slideshow and put the first still back
+     */
+    stopCardSlideshow() {
+        if (!this.cardSlideshow) return;
+        
+        clearInterval(this.cardSlideshow.timer);
+        this.cardSlideshow.img.src = this.cardSlideshow.images[0];
+        this.cardSlideshow = null;
+    }
+    
+    /**
+     * Collapse or expand a group when its header is clicked
+     */
+    onGroupToggle(e) {
+        const toggle = e.target.closest('.project-group-toggle');
+        if (!toggle) return;
+        
+        const section = toggle.closest('.project-group');
+        const id = `${this.groupBy}:${section.dataset.groupKey}`;
+        const collapsed = !section.classList.contains('is-collapsed');
+        
+        section.classList.toggle('is-collapsed', collapsed);
+        section.querySelector('.project-group-items').hidden = collapsed;
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+        
+        if (collapsed) {
+            this.collapsedGroups.add(id);
+        } else {
+            this.collapsedGroups.delete(id);
+        }
+        this.saveCollapsedGroups();
+        this.updateRovingFocus();
+    }
+    
+    /**
+     * Collapsed groups from localStorage (unavailable in some private modes)
+     * @returns {Set<string>}
+     */
+    loadCollapsedGroups() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem(this.collapsedStorageKey) || '[]'));
+        } catch (e) {
+            return new Set();
+        }
+    }
+    
+    saveCollapsedGroups() {
+        try {
+            localStorage.setItem(this.collapsedStorageKey, JSON.stringify([...this.collapsedGroups]));
+        } catch (e) {
+            // Not persisted; the state still holds for this visit
+        }
+    }
+    
+    /**
+     * Whether rows should be split into groups (placeholder rows never are)
+     */
+    isGrouped() {
+        return this.groupBy !== 'none' && this.projects.some(project => project.id);
+    }
+    
+    /**
+     * Group keys for a project under the current mode
+     * By tag, a project belongs to every one of its tags' groups
+     * @returns {string[]}
+     */
+    getGroupKeys(project) {
+        switch (this.groupBy) {
+            case 'year':
+                return [String(project.year || '')];
+            case 'category':
+                return [project.categoryText];
+            case 'tag':
+                return project.tags.length ? [...new Set(project.tags)] : [''];
+            default:
+                return [''];
+        }
+    }
+    
+    /**
+     * Split the sorted projects into groups, keeping their order within each group
+     * Groups follow the sort direction when sorted by the same field;
+     * otherwise years run newest first and names A–Z
+     * @returns {{key: string, label: string, projects: Object[]}[]}
+     */
+    getGroups() {
+        const groups = new Map();
+        
+        this.projects.forEach(project => {
+            this.getGroupKeys(project).forEach(key => {
+                if (!groups.has(key)) {
+                    groups.set(key, { key, label: key || 'Other', projects: [] });
+                }
+                groups.get(key).projects.push(project);
+            });
+        });
+        
+        const sortField = this.groupBy === 'tag' ? null : this.groupBy;
+        const ascending = this.currentSort === sortField
+            ? this.sortDirection === 'asc'
+            : this.groupBy !== 'year';
+        
+        return [...groups.values()].sort((a, b) => {
+            // Ungrouped projects always go last
+            if (!a.key || !b.key) return !a.key - !b.key;
+            
+            const order = this.groupBy === 'year'
+                ? Number(a.key) - Number(b.key)
+                : a.key.localeCompare(b.key);
+            return ascending ? order : -order;
+        });
+    }
+    
+    /**
+     * Show per-group counts of visible rows, hiding groups that filtering emptied
+     */
+    updateGroups() {
+        this.projectList.querySelectorAll('.project-group').forEach(section => {
+            const visible = section.querySelectorAll('.project-item.active').length;
+            section.hidden = visible === 0;
+            section.querySelector('.project-group-count').textContent = visible;
         });
     }
     
     /**
-     * Filter projects based on search query
+     * Fuzzy-match a project against the search query
+     * @returns {Object|null} Match with highlight ranges per field, or null
+     */
+    searchProject(project) {
+        // Shown columns are matched on their cell text, so ranges line up for highlighting
+        return FuzzySearch.matchFields(this.searchQuery, {
+            title: project.titleText,
+            category: project.categoryText,
+            year: String(project.year || ''),
+            tags: project.tags.join(' '),
+            ...project.texts
+        });
+    }
+    
+    /**
+     * Whether a project passes the search query
+     */
+    matchesSearch(project) {
+        return !this.searchQuery || this.searchProject(project) !== null;
+    }
+    
+    /**
+     * Whether a project passes the selected tags
+     * any: at least one selected tag, all: every selected tag
+     */
+    matchesTags(project) {
+        if (this.selectedTags.size === 0) return true;
+        
+        const selected = [...this.selectedTags];
+        return this.tagMatchMode === 'all'
+            ? selected.every(tag => project.tags.includes(tag))
+            : selected.some(tag => project.tags.includes(tag));
+    }
+    
+    /**
+     * Render tag chips with per-tag counts
+     * Counts reflect projects that match the current search
+     */
+    renderTagChips() {
+        if (!this.tagFilter) return;
+        
+        const counts = new Map();
+        this.projects.forEach(project => {
+            project.tags.forEach(tag => {
+                if (!counts.has(tag)) counts.set(tag, 0);
+                if (this.matchesSearch(project)) {
+                    counts.set(tag, counts.get(tag) + 1);
+                }
+            });
+        });
+        
+        // Selected tags no project has (yet) stay as zero-count chips, so a shared
+        // ?tags= link keeps its filter while projects load and can still be cleared
+        this.selectedTags.forEach(tag => {
+            if (!counts.has(tag)) counts.set(tag, 0);
+        });
+        
+        const tags = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+        this.tagFilter.hidden = tags.length === 0;
+        
+        this.tagFilter.innerHTML = Template.html`
+            <ul class="tag-chips">
+                ${tags.map(tag => Template.html`
+                    <li>
+                        <button type="button"
+                                class="tag-chip cursor-interact${this.selectedTags.has(tag) ? ' active' : ''}"
+                                data-tag="${tag}"
+                                aria-pressed="${String(this.selectedTags.has(tag))}">
+                            ${tag} <span class="tag-chip-count">${counts.get(tag)}</span>
+                        </button>
+                    </li>
+                `)}
+            </ul>
+            <div class="tag-mode">
+                <button type="button" class="tag-mode-btn cursor-interact${this.tagMatchMode === 'any' ? ' active' : ''}"
+                        data-tag-mode="any" aria-pressed="${String(this.tagMatchMode === 'any')}" title="Match any selected tag">any</button>
+                <button type="button" class="tag-mode-btn cursor-interact${this.tagMatchMode === 'all' ? ' active' : ''}"
+                        data-tag-mode="all" aria-pressed="${String(this.tagMatchMode === 'all')}" title="Match all selected tags">all</button>
+                ${this.selectedTags.size ? Template.raw('<button type="button" class="tag-mode-btn cursor-interact" data-tag-clear>clear</button>') : ''}
+            </div>
+        `;
+        
+        if (window.customCursor) {
+            window.customCursor.refresh();
+        }
+    }
+    
+    /**
+     * Filter projects based on search query and selected tags
      */
     filterProjects() {
+        this.renderTagChips();
+        
+        let visibleCount = 0;
+        
         this.projects.forEach(project => {
-            const matches = !this.searchQuery || 
-                project.title.includes(this.searchQuery) ||
-                project.category.includes(this.searchQuery) ||
-                project.year.toString().includes(this.searchQuery);
+            const match = this.searchQuery ? this.searchProject(project) : null;
+            const matches = (!this.searchQuery || match !== null) && this.matchesTags(project);
             
-            if (matches) {
-                project.element.style.display = '';
-                project.element.classList.add('active');
-            } else {
-                project.element.style.display = 'none';
-                project.element.classList.remove('active');
-            }
+            this.highlightProject(project, match);
+            if (matches) visibleCount++;
+            
+            this.getRows(project).forEach(row => {
+                row.style.display = matches ? '' : 'none';
+                row.classList.toggle('active', matches);
+            });
         });
+        
+        this.updateGroups();
+        this.renderSearchResults(visibleCount);
+        this.updateRovingFocus();
     }
     
     /**
-     * Re-render projects in sorted order
+     * A project's rows: its own, plus one per extra group it's in (see renderProjects)
+     * @param {Object} project - Cached project
+     * @returns {HTMLElement[]}
      */
-    renderProjects() {
-        // Remove all projects from DOM
+    getRows(project) {
+        return [project.element, ...project.copies];
+    }
+    
+    /**
+     * Cached project a row belongs to
+     * @param {HTMLElement} row - Project row
+     * @returns {Object|null}
+     */
+    getRowProject(row) {
+        return this.projects.find(project => this.getRows(project).includes(row)) || null;
+    }
+    
+    /**
+     * Rows reachable by keyboard, in display order: visible project rows
+     * (not message rows or collapsed groups)
+     * @returns {HTMLElement[]}
+     */
+    getFocusableRows() {
+        return Array.from(this.projectList.querySelectorAll('.project-item[data-id]'))
+            .filter(row => row.style.display !== 'none' && !row.closest('.project-group.is-collapsed'));
+    }
+    
+    /**
+     * Keep a single tab stop on the list, on the last focused row if it's still visible
+     */
+    updateRovingFocus() {
+        const focusable = this.getFocusableRows();
+        const current = focusable.find(row => row === this.focusedRow)
+            || focusable.find(row => row.dataset.id === this.focusedId)
+            || focusable[0];
+        
         this.projects.forEach(project => {
-            this.projectList.removeChild(project.element);
+            if (!project.id) return;
+            this.getRows(project).forEach(row => {
+                row.tabIndex = row === current ? 0 : -1;
+            });
         });
+    }
+    
+    /**
+     * Handle keys on a focused row
+     * Arrows / j k move, Home / End jump, Space pins the preview, Escape unpins,
+     * f opens the images full screen, p pauses the slideshow. Enter needs no handling: rows are links
+     */
+    onListKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
         
-        // Re-add in sorted order
+        const row = e.target.closest('.project-item');
+        const focusable = this.getFocusableRows();
+        const index = focusable.indexOf(row);
+        if (index === -1) return;
+        
+        const project = this.getRowProject(row);
+        
+        let next;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'j':
+                next = Math.min(index + 1, focusable.length - 1);
+                break;
+            case 'ArrowUp':
+            case 'k':
+                next = Math.max(index - 1, 0);
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = focusable.length - 1;
+                break;
+            case ' ':
+                e.preventDefault();
+                this.togglePin(project);
+                return;
+            case 'f':
+                if (window.lightbox && project.preview) {
+                    e.preventDefault();
+                    window.lightbox.openProject(project.id);
+                }
+                return;
+            case 'p':
+                if (window.contentLoader) {
+                    e.preventDefault();
+                    window.contentLoader.toggleSlideshow();
+                }
+                return;
+            case 'Escape':
+                this.unpinPreview();
+                return;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        focusable[next].focus();
+    }
+    
+    /**
+     * Move the tab stop to a focused row; keyboard focus shows its preview like hovering does
+     */
+    onRowFocus(e) {
+        const project = this.getRowProject(e.target);
+        if (!project || !project.id) return;
+        
+        this.focusedId = project.id;
+        this.focusedRow = e.target;
+        this.updateRovingFocus();
+        
+        // Cards preview inline instead of in the floating box
+        if (this.layout === 'grid') {
+            if (e.target.matches(':focus-visible')) this.startCardSlideshow(project, e.target);
+            return;
+        }
+        
+        // Mouse clicks focus rows too, but hovering already handles those
+        if (project.preview && window.contentLoader && e.target.matches(':focus-visible')) {
+            window.contentLoader.showPreviewBox(project.preview, project.id);
+            this.previewFromFocus = true;
+        }
+    }
+    
+    /**
+     * Hide a focus-driven preview when focus leaves the list
+     */
+    onRowBlur(e) {
+        if (this.layout === 'grid') {
+            this.stopCardSlideshow();
+        }
+        
+        if (!this.previewFromFocus) return;
+        if (e.relatedTarget && this.projectList.contains(e.relatedTarget)) return;
+        
+        this.previewFromFocus = false;
+        if (window.contentLoader) {
+            window.contentLoader.hidePreviewBox();
+        }
+    }
+    
+    /**
+     * Pin a row's preview open, or unpin it if it's already pinned
+     */
+    togglePin(project) {
+        if (!window.contentLoader) return;
+        
+        if (this.pinnedId === project.id) {
+            this.unpinPreview();
+            return;
+        }
+        
+        if (!project.preview) return;
+        
+        this.projects.forEach(p => this.getRows(p).forEach(row => row.classList.toggle('is-pinned', p === project)));
+        this.pinnedId = project.id;
+        window.contentLoader.pinPreviewBox(project.preview, project.id);
+    }
+    
+    /**
+     * Release a pinned preview
+     */
+    unpinPreview() {
+        if (!this.pinnedId) return;
+        
+        this.projects.forEach(p => this.getRows(p).forEach(row => row.classList.remove('is-pinned')));
+        this.pinnedId = null;
+        if (window.contentLoader) {
+            window.contentLoader.unpinPreviewBox();
+        }
+    }
+    
+    /**
+     * Highlight matched text in a row's cells, per the column definitions
+     * Only plain-text columns are highlighted; cells from a column formatter keep their markup
+     * @param {Object} project - Cached project
+     * @param {Object|null} match - Result from searchProject, null clears highlights
+     */
+    highlightProject(project, match) {
+        // Placeholder rows have no data to highlight
+        if (!project.id) return;
+        
+        Renderers.columns.forEach(column => {
+            const text = project.texts[column.field];
+            if (column.formatter || text === undefined) return;
+            
+            const ranges = (match && match.ranges[column.field]) || [];
+            
+            this.getRows(project).forEach(row => {
+                const cell = row.querySelector(`.project-column.${column.field} p`);
+                
+                // Nothing to add or clear
+                if (!cell || (!ranges.length && !cell.querySelector('mark'))) return;
+                
+                cell.innerHTML = FuzzySearch.highlight(text, ranges);
+            });
+        });
+    }
+    
+    /**
+     * Show updates matching the search, and an empty state when nothing matches
+     * @param {number} visibleCount - Projects left visible after filtering
+     */
+    renderSearchResults(visibleCount) {
+        if (!this.searchResults) return;
+        
+        if (!this.searchQuery) {
+            this.searchResults.hidden = true;
+            this.searchResults.innerHTML = '';
+            return;
+        }
+        
+        const loader = window.contentLoader;
+        const updates = (loader && loader.updates) || [];
+        const dateFormat = (loader && loader.dateFormat) || Dates.defaults;
+        const matches = updates
+            .map(update => {
+                const text = Markdown.toPlainText(update.text) + (update.linkText ? ` ${update.linkText}` : '');
+                const date = Dates.display(update.date, dateFormat).text;
+                return { update, text, date, match: FuzzySearch.matchFields(this.searchQuery, { text, date }) };
+            })
+            .filter(result => result.match);
+        
+        this.searchResults.hidden = false;
+        this.searchResults.innerHTML = Template.html`
+            ${visibleCount === 0 ? Template.html`
+                <p class="search-empty">
+                    ${matches.length ? 'No projects match' : 'Nothing matches'} &ldquo;${this.searchQuery}&rdquo;.
+                    ${matches.length ? '' : 'Try fewer words or check the spelling.'}
+                </p>
+            ` : ''}
+            ${matches.length ? Template.html`
+                <span class="search-results-title">Updates (${matches.length})</span>
+                <div class="updates-content">
+                    ${matches.map(({ update, text, date, match }) => Template.html`
+                        <div class="update-item">
+                            ${Renderers.updateDate(update.date, dateFormat, FuzzySearch.highlight(date, match.ranges.date))}
+                            <span class="update-text">
+                                ${FuzzySearch.highlight(text, match.ranges.text)}
+                                <a href="updates/${Renderers.getUpdateYear(update)}" class="update-link cursor-interact">&rarr;</a>
+                            </span>
+                        </div>
+                    `)}
+                </div>
+            ` : ''}
+        `;
+        
+        if (window.customCursor) {
+            window.customCursor.refresh();
+        }
+    }
+    
+    /**
+     * Re-render projects in sorted order, inside group sections when grouped
+     */
+    renderProjects() {
+        // Remove all projects (and the previous group sections) from DOM
         this.projects.forEach(project => {
-            this.projectList.appendChild(project.element);
+            project.element.remove();
+            project.copies = [];
         });
+        this.projectList.querySelectorAll('.project-group').forEach(section => section.remove());
+        
+        // Re-add in sorted order
+        if (this.isGrouped()) {
+            const placed = new Set();
+            
+            this.getGroups().forEach(group => {
+                const collapsed = this.collapsedGroups.has(`${this.groupBy}:${group.key}`);
+                const section = Template.toElement(Renderers.projectGroup(group.key, group.label, collapsed));
+                const items = section.querySelector('.project-group-items');
+                
+                // A project's first group gets its row, later ones a copy
+                group.projects.forEach(project => {
+                    items.appendChild(placed.has(project) ? this.createRowCopy(project) : project.element);
+                    placed.add(project);
+                });
+                this.projectList.appendChild(section);
+            });
+            
+            if (window.customCursor) {
+                window.customCursor.refresh();
+            }
+        } else {
+            this.projects.forEach(project => {
+                this.projectList.appendChild(project.element);
+            });
+        }
         
         // Apply current filter
         this.filterProjects();
-        
-        // Re-setup hover listeners after re-render
-        this.setupHoverListeners();
     }
     
     /**
-     * Set up project click handlers
+     * Set up project click and hover handlers
+     * Rows keep their listeners across re-renders, so this only runs when rows are cached
      */
     setupProjectClicks() {
         this.projects.forEach(project => {
@@ -184,29 +999,50 @@ class ProjectList {
             project.element.parentNode?.replaceChild(newElement, project.element);
             project.element = newElement;
             
-            project.element.addEventListener('click', () => {
-                this.onProjectClick(project);
-            });
+            this.bindRow(project, project.element);
         });
     }
     
     /**
-     * Set up hover listeners for projects with previews
-     * Works with the fixed preview box system
+     * Extra row for a project shown in more than one group (group by tag)
+     * Filtering, highlighting and pinning apply to every row (see getRows)
+     * @param {Object} project - Cached project
+     * @returns {HTMLElement}
      */
-    setupHoverListeners() {
-        // Only set up if contentLoader exists
-        if (!window.contentLoader) return;
+    createRowCopy(project) {
+        const copy = project.element.cloneNode(true);
+        this.bindRow(project, copy);
         
-        this.projects.forEach(project => {
-            if (project.preview) {
-                project.element.addEventListener('mouseenter', () => {
-                    window.contentLoader.showPreviewBox(project.preview);
-                });
-                
-                project.element.addEventListener('mouseleave', () => {
-                    window.contentLoader.hidePreviewBox();
-                });
+        project.copies.push(copy);
+        return copy;
+    }
+    
+    /**
+     * Attach a row's click handler and, for projects with previews, its hover handlers
+     * Hover works with the fixed preview box system, or the inline card slideshow in grid layout
+     * @param {Object} project - Cached project
+     * @param {HTMLElement} row - The project's row or one of its copies
+     */
+    bindRow(project, row) {
+        row.addEventListener('click', () => {
+            this.onProjectClick(project);
+        });
+        
+        if (!project.preview) return;
+        
+        row.addEventListener('mouseenter', () => {
+            if (this.layout === 'grid') {
+                this.startCardSlideshow(project, row);
+            } else if (window.contentLoader) {
+                window.contentLoader.queuePreviewBox(project.preview, project.id);
+            }
+        });
+        
+        row.addEventListener('mouseleave', () => {
+            if (this.layout === 'grid') {
+                this.stopCardSlideshow();
+            } else if (window.contentLoader) {
+                window.contentLoader.hidePreviewBox();
             }
         });
     }
@@ -231,10 +1067,8 @@ class ProjectList {
         // Add to DOM and cache
         this.projectList.appendChild(template);
         
-        // Re-cache and sort
+        // Re-cache (also sorts and filters)
         this.cacheProjects();
-        this.sortProjects();
-        this.renderProjects();
         
         // Refresh cursor interactions
         if (window.customCursor) {
@@ -244,52 +1078,10 @@ class ProjectList {
     
     /**
      * Create a project element from data
-     * Supports both previewImage (string) and previewImages (array)
+     * Uses the same row markup as ContentLoader
      */
     createProjectElement(data) {
-        const tag = data.link ? 'a' : 'div';
-        const element = document.createElement(tag);
-        
-        element.className = 'project-item active cursor-interact';
-        element.dataset.id = data.id;
-        element.dataset.year = data.year;
-        element.dataset.title = data.title;
-        element.dataset.category = data.category;
-        
-        // Handle preview images - support both formats
-        if (data.previewImages && Array.isArray(data.previewImages)) {
-            element.dataset.preview = JSON.stringify(data.previewImages);
-        } else if (data.previewImage) {
-            if (Array.isArray(data.previewImage)) {
-                element.dataset.preview = JSON.stringify(data.previewImage);
-            } else {
-                element.dataset.preview = JSON.stringify([data.previewImage]);
-            }
-        }
-        
-        if (data.link) {
-            element.href = data.link;
-            element.target = "_blank";
-            element.rel = "noopener noreferrer";
-        }
-        
-        element.innerHTML = `
-            <ul class="project-content">
-                <li class="project-column year"><p>${data.year}</p></li>
-                <li class="project-column title"><p>${data.title}</p></li>
-                <li class="project-column category"><p>${data.category}</p></li>
-                <li class="project-column arrow">
-                    <span class="project-arrow">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <line x1="5" y1="12" x2="19" y2="12"></line>
-                            <polyline points="12 5 19 12 12 19"></polyline>
-                        </svg>
-                    </span>
-                </li>
-            </ul>
-        `;
-        
-        return element;
+        return Template.toElement(Renderers.projectRow(data));
     }
 }
 
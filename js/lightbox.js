@@ -0,0 +1,529 @@
+/**
+ * ============================================
+ * LIGHTBOX.JS
+ * Fullscreen gallery for project images
+ * Opens from a row's preview icon (or "f" on a
+ * focused row), the touch preview sheet and the
+ * project detail gallery. Supports buttons, keys,
+ * swipe, and wheel / pinch / double-click zoom.
+ * Clips play muted and loop (unless reduced motion
+ * is preferred, where they get native controls)
+ * Depends on: renderers.js (Renderers)
+ * ============================================
+ */
+
+class Lightbox {
+    constructor() {
+        // Elements
+        this.element = document.getElementById('lightbox');
+        this.stage = document.getElementById('lightboxStage');
+        this.img = document.getElementById('lightboxImg');
+        this.video = document.getElementById('lightboxVideo');
+        this.media = this.img; // whichever of img / video is showing
+        this.counter = document.getElementById('lightboxCounter');
+        this.caption = document.getElementById('lightboxCaption');
+        this.projectList = document.getElementById('projectList');
+        
+        // Configuration
+        this.maxScale = 4;
+        this.swipeThreshold = 50; // px of horizontal drag that changes image
+        this.dismissThreshold = 100; // px of vertical drag that closes
+        
+        // State
+        this.items = [];
+        this.index = 0;
+        this.title = '';
+        this.isOpen = false;
+        this.scale = 1;
+        this.offset = { x: 0, y: 0 };
+        this.pointers = new Map();
+        this.gesture = null;
+        this.dragged = false;
+        this.returnFocus = null;
+        
+        // Bind methods
+        this.onDocumentClick = this.onDocumentClick.bind(this);
+        this.onListClick = this.onListClick.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onDoubleClick = this.onDoubleClick.bind(this);
+        
+        // Initialize
+        this.init();
+    }
+    
+    init() {
+        if (!this.element) return;
+        
+        // Detail gallery images (delegated, since the detail view is re-rendered)
+        document.addEventListener('click', this.onDocumentClick);
+        
+        // Row preview icons; touch mode hands these to the preview sheet instead
+        if (this.projectList) {
+            this.projectList.addEventListener('click', this.onListClick, true);
+        }
+        
+        // Controls
+        this.element.addEventListener('click', this.onClick);
+        this.element.addEventListener('keydown', this.onKeyDown);
+        
+        // Gestures
+        this.stage.addEventListener('wheel', this.onWheel, { passive: false });
+        this.stage.addEventListener('pointerdown', this.onPointerDown);
+        this.stage.addEventListener('pointermove', this.onPointerMove);
+        this.stage.addEventListener('pointerup', this.onPointerUp);
+        this.stage.addEventListener('pointercancel', this.onPointerUp);
+        this.img.addEventListener('dblclick', this.onDoubleClick);
+        this.video.addEventListener('dblclick', this.onDoubleClick);
+        
+        // Route changes (including back) close it
+        window.addEventListener('pageChange', () => this.close());
+    }
+    
+    /**
+     * Open from a detail gallery image
+     */
+    onDocumentClick(e) {
+        const trigger = e.target.closest('[data-lightbox-project]');
+        if (!trigger) return;
+        
+        e.preventDefault();
+        this.openProject(trigger.dataset.lightboxProject, Number(trigger.dataset.lightboxIndex) || 0);
+    }
+    
+    /**
+     * Open from a row's preview icon without following the row link
+     */
+    onListClick(e) {
+        const toggle = e.target.closest('[data-preview-open]');
+        if (!toggle || document.body.classList.contains('touch-mode')) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        this.openProject(toggle.closest('.project-item').dataset.id);
+    }
+    
+    /**
+     * Open a project's full preview set
+     * Captions come from project data when it's loaded, otherwise the row's data-preview is used
+     * @param {string} id - Project ID
+     * @param {number} index - Image to start on
+     */
+    openProject(id, index = 0) {
+        const projects = (window.contentLoader && window.contentLoader.projects) || [];
+        const project = projects.find(p => p.id === id);
+        
+        let items = project ? Renderers.getPreviewItems(project) : [];
+        let title = project ? project.title : '';
+        
+        if (!items.length && this.projectList) {
+            const row = Array.from(this.projectList.querySelectorAll('.project-item'))
+                .find(el => el.dataset.id === id);
+            
+            if (row && row.dataset.preview) {
+                let images;
+                try {
+                    images = JSON.parse(row.dataset.preview);
+                } catch (e) {
+                    images = row.dataset.preview;
+                }
+                items = (Array.isArray(images) ? images : [images])
+                    .map(src => ({ src, caption: null, alt: null, duration: null, poster: null }));
+                title = row.dataset.title || '';
+            }
+        }
+        
+        if (items.length) {
+            this.open(items, index, title);
+        }
+    }
+    
+    /**
+     * Open the lightbox
+     * @param {Object[]} items - { src, caption, alt } per image
+     * @param {number} index - Image to start on
+     * @param {string} title - Project title, used when an image has no caption
+     */
+    open(items, index = 0, title = '') {
+        this.items = items;
+        this.title = title;
+        
+        if (!this.isOpen) {
+            this.returnFocus = document.activeElement;
+        }
+        
+        // The hover preview would sit on top otherwise
+        if (window.projectList) window.projectList.unpinPreview();
+        if (window.contentLoader) window.contentLoader.hidePreviewBox();
+        if (window.touchPreview) window.touchPreview.close();
+        
+        const single = items.length <= 1;
+        this.element.querySelectorAll('[data-lightbox-prev], [data-lightbox-next]').forEach(btn => {
+            btn.hidden = single;
+        });
+        
+        this.element.hidden = false;
+        document.body.classList.add('lightbox-open');
+        requestAnimationFrame(() => {
+            this.element.classList.add('is-open');
+        });
+        this.isOpen = true;
+        
+        this.show(index);
+        this.element.querySelector('[data-lightbox-close]').focus({ preventScroll: true });
+        
+        if (window.customCursor) {
+            window.customCursor.refresh();
+        }
+    }
+    
+    /**
+     * Close and hand focus back
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.video.pause();
+        this.pointers.clear();
+        this.gesture = null;
+        this.element.classList.remove('is-open');
+        this.element.hidden = true;
+        document.body.classList.remove('lightbox-open');
+        
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+    
+    /**
+     * Show an image, wrapping around at either end
+     * Images ImageLoader has already fetched appear instantly
+     * @param {number} index - Image index
+     */
+    show(index) {
+        const count = this.items.length;
+        this.index = ((index % count) + count) % count;
+        
+        const item = this.items[this.index];
+        const isVideo = Renderers.isVideo(item.src);
+        const label = item.alt || `${this.title} image ${this.index + 1} of ${count}`;
+        
+        // Swap between the img and video elements
+        this.video.pause();
+        this.img.style.transform = '';
+        this.video.style.transform = '';
+        this.img.hidden = isVideo;
+        this.video.hidden = !isVideo;
+        this.media = isVideo ? this.video : this.img;
+        this.resetZoom();
+        
+        this.counter.textContent = `${this.index + 1} / ${count}`;
+        this.caption.textContent = item.caption || this.title;
+        if (isVideo) {
+            this.video.setAttribute('aria-label', label);
+        } else {
+            this.img.alt = label;
+        }
+        
+        const display = () => {
+            if (isVideo) {
+                this.showVideo(item);
+            } else {
+                this.img.src = item.src;
+            }
+            this.media.classList.remove('is-loading');
+        };
+        
+        const loader = window.imageLoader;
+        if (!loader || loader.isCached(item.src)) {
+            display();
+        } else {
+            this.media.classList.add('is-loading');
+            loader.preloadImage(item.src, true)
+                .catch(() => null)
+                .then(() => {
+                    // Ignore if the user has moved on
+                    if (this.items[this.index] !== item) return;
+                    display();
+                });
+        }
+        
+        // Warm the neighbours so next/prev are instant too
+        if (loader && count > 1) {
+            loader.preloadImages([
+                this.items[(this.index + 1) % count].src,
+                this.items[(this.index - 1 + count) % count].src
+            ]);
+        }
+    }
+    
+    /**
+     * Load and start a clip
+     * @param {Object} item - Preview item with src and optional poster
+     */
+    showVideo(item) {
+        const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        
+        if (item.poster) {
+            this.video.poster = item.poster;
+        } else {
+            this.video.removeAttribute('poster');
+        }
+        this.video.controls = reducedMotion;
+        this.video.src = item.src;
+        
+        if (!reducedMotion) {
+            this.video.play().catch(() => {});
+        }
+    }
+    
+    next() {
+        this.show(this.index + 1);
+    }
+    
+    prev() {
+        this.show(this.index - 1);
+    }
+    
+    /**
+     * Buttons, and taps on the backdrop
+     */
+    onClick(e) {
+        if (e.target.closest('[data-lightbox-close]')) {
+            this.close();
+        } else if (e.target.closest('[data-lightbox-prev]')) {
+            this.prev();
+        } else if (e.target.closest('[data-lightbox-next]')) {
+            this.next();
+        } else if (e.target === this.stage && !this.dragged) {
+            this.close();
+        }
+    }
+    
+    /**
+     * Keys while open; handled keys don't reach the page's shortcuts
+     */
+    onKeyDown(e) {
+        const actions = {
+            Escape: () => this.close(),
+            ArrowRight: () => this.next(),
+            ArrowLeft: () => this.prev(),
+            Home: () => this.show(0),
+            End: () => this.show(this.items.length - 1),
+            '+': () => this.zoomAt(this.scale * 1.5),
+            '=': () => this.zoomAt(this.scale * 1.5),
+            '-': () => this.zoomAt(this.scale / 1.5),
+            '0': () => this.resetZoom()
+        };
+        
+        if (e.key === 'Tab') {
+            this.trapFocus(e);
+            return;
+        }
+        
+        const action = actions[e.key];
+        if (!action || e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        action();
+    }
+    
+    /**
+     * Keep Tab cycling through the lightbox's own controls
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll('button:not([hidden])'));
+        if (!focusable.length) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Zoom so the point under (x, y) stays put
+     * @param {number} scale - Target scale (clamped to 1..maxScale)
+     * @param {number} [x] - Client X, defaults to the stage centre
+     * @param {number} [y] - Client Y, defaults to the stage centre
+     */
+    zoomAt(scale, x, y) {
+        const rect = this.stage.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        const pointX = x ?? centerX;
+        const pointY = y ?? centerY;
+        
+        const next = Math.min(this.maxScale, Math.max(1, scale));
+        const ratio = next / this.scale;
+        
+        this.offset.x = pointX - centerX - (pointX - centerX - this.offset.x) * ratio;
+        this.offset.y = pointY - centerY - (pointY - centerY - this.offset.y) * ratio;
+        this.scale = next;
+        
+        this.clampOffset();
+        this.applyTransform();
+    }
+    
+    resetZoom() {
+        this.scale = 1;
+        this.offset = { x: 0, y: 0 };
+        this.applyTransform();
+    }
+    
+    /**
+     * Don't let a zoomed image be panned out of view
+     */
+    clampOffset() {
+        const maxX = (this.media.offsetWidth * (this.scale - 1)) / 2;
+        const maxY = (this.media.offsetHeight * (this.scale - 1)) / 2;
+        
+        this.offset.x = Math.max(-maxX, Math.min(maxX, this.offset.x));
+        this.offset.y = Math.max(-maxY, Math.min(maxY, this.offset.y));
+    }
+    
+    /**
+     * @param {number} [swipeX] - Extra horizontal offset while swiping (unzoomed only)
+     * @param {number} [swipeY] - Extra vertical offset while swiping down to close
+     */
+    applyTransform(swipeX = 0, swipeY = 0) {
+        const x = this.offset.x + swipeX;
+        const y = this.offset.y + swipeY;
+        
+        this.media.style.transform = `translate(${x}px, ${y}px) scale(${this.scale})`;
+        this.stage.classList.toggle('is-zoomed', this.scale > 1);
+        this.stage.classList.toggle('is-dragging', Boolean(this.gesture));
+    }
+    
+    onWheel(e) {
+        e.preventDefault();
+        this.zoomAt(this.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+    }
+    
+    onDoubleClick(e) {
+        if (this.scale > 1) {
+            this.resetZoom();
+        } else {
+            this.zoomAt(2, e.clientX, e.clientY);
+        }
+    }
+    
+    /**
+     * One pointer swipes (or pans when zoomed), two pointers pinch
+     */
+    onPointerDown(e) {
+        if (e.target.closest('button')) return;
+        
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        
+        if (this.pointers.size === 1) {
+            this.dragged = false;
+        }
+        this.startGesture();
+    }
+    
+    /**
+     * (Re)start the gesture for however many pointers are down
+     */
+    startGesture() {
+        const points = [...this.pointers.values()];
+        
+        if (points.length >= 2) {
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y),
+                scale: this.scale
+            };
+        } else if (points.length === 1) {
+            this.gesture = {
+                type: this.scale > 1 ? 'pan' : 'swipe',
+                x: points[0].x,
+                y: points[0].y,
+                offset: { ...this.offset }
+            };
+        } else {
+            this.gesture = null;
+        }
+    }
+    
+    onPointerMove(e) {
+        if (!this.gesture || !this.pointers.has(e.pointerId)) return;
+        
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const points = [...this.pointers.values()];
+        
+        if (this.gesture.type === 'pinch' && points.length >= 2) {
+            const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+            this.dragged = true;
+            this.zoomAt(
+                this.gesture.scale * (distance / Math.max(this.gesture.distance, 1)),
+                (points[0].x + points[1].x) / 2,
+                (points[0].y + points[1].y) / 2
+            );
+            return;
+        }
+        
+        const dx = e.clientX - this.gesture.x;
+        const dy = e.clientY - this.gesture.y;
+        if (Math.hypot(dx, dy) > 5) this.dragged = true;
+        
+        if (this.gesture.type === 'pan') {
+            this.offset.x = this.gesture.offset.x + dx;
+            this.offset.y = this.gesture.offset.y + dy;
+            this.clampOffset();
+            this.applyTransform();
+        } else {
+            // Follow the finger along whichever axis it's moving
+            this.applyTransform(Math.abs(dx) > Math.abs(dy) ? dx : 0, Math.abs(dy) > Math.abs(dx) ? Math.max(dy, 0) : 0);
+        }
+    }
+    
+    onPointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        
+        const gesture = this.gesture;
+        this.pointers.delete(e.pointerId);
+        
+        if (gesture && gesture.type === 'swipe') {
+            const dx = e.clientX - gesture.x;
+            const dy = e.clientY - gesture.y;
+            this.gesture = null;
+            
+            if (Math.abs(dx) > this.swipeThreshold && Math.abs(dx) > Math.abs(dy) && this.items.length > 1) {
+                if (dx < 0) this.next(); else this.prev();
+            } else if (dy > this.dismissThreshold && dy > Math.abs(dx)) {
+                this.close();
+            } else {
+                this.applyTransform();
+            }
+            return;
+        }
+        
+        // Lifting one finger of a pinch continues as a pan with the other
+        this.startGesture();
+        this.applyTransform();
+    }
+}
+
+// Initialize lightbox when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.lightbox = new Lightbox();
+    });
+} else {
+    window.lightbox = new Lightbox();
+}
@@ -34,6 +34,9 @@ class App {
         // Set up time display
         this.setupTimeDisplay();
         
+        // Set up print buttons (e.g. on the CV page)
+        this.setupPrintButtons();
+        
         // Check for reduced motion preference
         this.checkReducedMotion();
         
@@ -76,7 +79,15 @@ class App {
             if (!isInputFocused) {
                 e.preventDefault();
                 const searchInput = document.getElementById('search');
-                if (searchInput) searchInput.focus();
+                if (!searchInput) return;
+                
+                // Search lives on the projects page; go there first if it's hidden,
+                // and focus once it's shown (a view transition swaps it in later)
+                if (!searchInput.offsetParent && window.navigation) {
+                    window.navigation.navigateTo('projects').then(() => searchInput.focus());
+                } else {
+                    searchInput.focus();
+                }
             }
         }
     }
@@ -120,10 +131,11 @@ class App {
                 
                 if (targetId === '#') return;
                 
-                // Let navigation.js handle nav links
+                // Let navigation.js redirect old route hashes (e.g. #projects/project-3)
                 if (anchor.dataset.nav) return;
+                if (window.navigation && window.navigation.fromLegacyHash(targetId) !== null) return;
                 
-                const target = document.querySelector(targetId);
+                const target = document.getElementById(targetId.slice(1));
                 
                 if (target) {
                     e.preventDefault();
@@ -135,6 +147,18 @@ class App {
         });
     }
     
+    /**
+     * Open the print dialog from [data-print] buttons
+     * Delegated, since pages render them after their data loads
+     */
+    setupPrintButtons() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-print]')) {
+                window.print();
+            }
+        });
+    }
+    
     /**
      * Check for reduced motion preference
      */
@@ -0,0 +1,147 @@
+/**
+ * ============================================
+ * MARKDOWN.JS
+ * Safe inline Markdown subset for update text
+ * Supports [links](url), **strong**, *em* / _em_,
+ * `code`, line breaks and backslash escapes.
+ * Everything else is escaped as plain text
+ * Depends on: templates.js (Template)
+ * ============================================
+ */
+
+class Markdown {
+    /**
+     * Render inline Markdown to markup
+     * @param {string} text - Source text
+     * @returns {SafeHtml}
+     */
+    static renderInline(text) {
+        return Template.raw(Markdown.parse(String(text ?? '')));
+    }
+
+    /**
+     * Text with Markdown markers removed (link labels kept)
+     * Used for search and anywhere markup isn't wanted
+     * @param {string} text - Source text
+     * @returns {string}
+     */
+    static toPlainText(text) {
+        return Markdown.parse(String(text ?? ''))
+            .replace(/<br>/g, ' ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Single-pass inline parser
+     * Unmatched markers fall through as literal characters
+     * @param {string} src - Source text
+     * @returns {string} Escaped markup
+     */
+    static parse(src) {
+        // Sticky patterns, run at i via lastIndex rather than on a slice of the rest
+        const escape = /\\[\\`*_[\]()]/y;
+        const link = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/y;
+        let out = '';
+        let i = 0;
+
+        while (i < src.length) {
+            const ch = src[i];
+
+            // Backslash escapes: \* \_ \` \[ \] \( \) \\
+            escape.lastIndex = i;
+            if (ch === '\\' && escape.test(src)) {
+                out += Template.escapeHtml(src[i + 1]);
+                i += 2;
+                continue;
+            }
+
+            // Inline code: contents are never parsed
+            if (ch === '`') {
+                const end = src.indexOf('`', i + 1);
+                if (end > i + 1) {
+                    out += `<code>${Template.escapeHtml(src.slice(i + 1, end))}</code>`;
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            // Links: [label](url); unsafe URLs keep the label as plain text
+            // URLs may hold balanced parentheses, as in [Foo](https://en.wikipedia.org/wiki/Foo_(bar))
+            if (ch === '[') {
+                link.lastIndex = i;
+                const match = link.exec(src);
+                if (match) {
+                    const href = Template.safeUrl(match[2]);
+                    const label = Markdown.parse(match[1]);
+                    out += href
+                        ? `<a href="${Template.escapeHtml(href)}" class="update-link">${label}</a>`
+                        : label;
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            // Strong: **text**
+            if (src.startsWith('**', i)) {
+                const end = src.indexOf('**', i + 2);
+                if (end > i + 2) {
+                    out += `<strong>${Markdown.parse(src.slice(i + 2, end))}</strong>`;
+                    i = end + 2;
+                    continue;
+                }
+            }
+
+            // Emphasis: *text* or _text_ (underscores only at word boundaries, so snake_case survives)
+            if (ch === '*' || (ch === '_' && !/\w/.test(src[i - 1] || ''))) {
+                const end = Markdown.findClosing(src, ch, i + 1);
+                if (end > i + 1 && !/\s/.test(src[i + 1])) {
+                    out += `<em>${Markdown.parse(src.slice(i + 1, end))}</em>`;
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            // Line breaks
+            if (ch === '\n') {
+                out += '<br>';
+                i += 1;
+                continue;
+            }
+
+            out += Template.escapeHtml(ch);
+            i += 1;
+        }
+
+        return out;
+    }
+
+    /**
+     * Find the closing emphasis marker
+     * The closer can't follow whitespace, and an underscore closer can't precede a word character
+     * @returns {number} Index of the closer, or -1
+     */
+    static findClosing(src, marker, from) {
+        for (let j = from; j < src.length; j++) {
+            if (src[j] !== marker || /\s/.test(src[j - 1])) continue;
+            if (marker === '*' && src[j + 1] === '*') {
+                j++;
+                continue;
+            }
+            if (marker === '_' && /\w/.test(src[j + 1] || '')) continue;
+            return j;
+        }
+        return -1;
+    }
+}
+
+// Expose for the browser and for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Markdown;
+} else {
+    window.Markdown = Markdown;
+}
@@ -2,23 +2,47 @@
  * ============================================
  * NAVIGATION.JS
  * Page navigation and routing
+ * Clean paths via the History API, resolved under
+ * the base path set by <base href> in index.html.
+ * 404.html sends unknown deep links back here
+ * Depends on: pages.js (Pages)
  * ============================================
  */
 
 class Navigation {
     constructor() {
         // Elements
-        this.navLinks = document.querySelectorAll('[data-nav]');
-        this.pageSections = document.querySelectorAll('.page-section');
+        this.navList = document.getElementById('navList');
         this.mobileMenuToggle = document.getElementById('mobileMenuToggle');
         this.headerNav = document.querySelector('.header-nav');
+        this.footer = document.querySelector('.footer-section');
+        
+        // Routes come from the page registry (see Pages.list)
+        // Nested routes capture params and highlight their parent nav link
+        // Anything after '?' is page state (see setQuery), not part of the route
+        // Paths that match nothing show the not-found page
+        this.routes = Pages.routes();
+        
+        // Base path from <base href> (e.g. '/' or '/portfolio/')
+        this.basePath = new URL(document.baseURI).pathname.replace(/[^/]*$/, '');
         
         // State
         this.currentPage = 'home';
+        this.currentPath = null; // Nothing routed yet, so the first route always shows its page
+        this.currentParams = {};
+        this.currentQuery = '';
         this.isMenuOpen = false;
+        this.isReady = false; // The first route on load isn't animated
+        
+        // Page transitions: View Transitions API where supported, .page-enter fade otherwise
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.activeTransition = null; // Running ViewTransition, skipped if another navigation starts
+        this.fadingSection = null; // Section mid-fade in the fallback
+        this.morphName = 'project-morph';
         
         // Bind methods
-        this.onNavClick = this.onNavClick.bind(this);
+        this.onLinkClick = this.onLinkClick.bind(this);
+        this.onPopState = this.onPopState.bind(this);
         this.onHashChange = this.onHashChange.bind(this);
         this.toggleMobileMenu = this.toggleMobileMenu.bind(this);
         
@@ -27,12 +51,13 @@ class Navigation {
     }
     
     init() {
-        // Set up nav link clicks
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', this.onNavClick);
-        });
+        this.renderNav();
         
-        // Listen for hash changes (back/forward navigation)
+        // Internal links (delegated, so rendered content is covered too)
+        document.addEventListener('click', this.onLinkClick);
+        
+        // Back/forward, and old #hash links typed or followed in place
+        window.addEventListener('popstate', this.onPopState);
         window.addEventListener('hashchange', this.onHashChange);
         
         // Set up mobile menu toggle
@@ -40,107 +65,465 @@ class Navigation {
             this.mobileMenuToggle.addEventListener('click', this.toggleMobileMenu);
         }
         
-        // Check initial hash
-        this.checkInitialHash();
+        // Route the URL we loaded with
+        this.checkInitialRoute();
     }
     
     /**
-     * Check URL hash on page load
+     * Build the header nav from the registry, keeping prerendered links if they match
      */
-    checkInitialHash() {
-        const hash = window.location.hash.replace('#', '');
-        if (hash && this.isValidPage(hash)) {
-            this.navigateTo(hash, false);
+    renderNav() {
+        if (this.navList) {
+            const html = String(Pages.navLinks());
+            if (this.navList.dataset.prerendered !== Template.hash(html)) {
+                delete this.navList.dataset.prerendered;
+                this.navList.innerHTML = html;
+            }
         }
+        this.navLinks = document.querySelectorAll('[data-nav]');
     }
     
     /**
-     * Handle navigation link clicks
+     * Route the initial URL
+     * Handles 404.html redirects (?route=...) and old #hash links, rewriting both to clean paths
      */
-    onNavClick(e) {
-        const target = e.currentTarget.dataset.nav;
+    checkInitialRoute() {
+        const search = new URLSearchParams(window.location.search);
+        const legacy = this.fromLegacyHash(window.location.hash);
+        let path;
+        let hash = window.location.hash;
         
-        if (target && this.isValidPage(target)) {
-            e.preventDefault();
-            this.navigateTo(target);
-            
-            // Close mobile menu if open
-            if (this.isMenuOpen) {
-                this.toggleMobileMenu();
-            }
+        if (search.has('route')) {
+            path = search.get('route');
+        } else if (legacy !== null) {
+            path = legacy;
+            hash = '';
+        } else {
+            path = this.getLocationPath();
+        }
+        
+        window.history.replaceState(null, '', this.toUrl(path) + hash);
+        this.navigateTo(path, false);
+        this.isReady = true;
+    }
+    
+    /**
+     * Follow internal links without reloading
+     * Files (feed.xml, images), other origins, new tabs and in-page anchors are left to the browser
+     */
+    onLinkClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        
+        const link = e.target.closest('a[href]');
+        if (!link || link.target || link.hasAttribute('download')) return;
+        
+        // With <base href>, '#x' would resolve against the base, so bare hashes are checked as written
+        const href = link.getAttribute('href');
+        const path = href.startsWith('#') ? this.fromLegacyHash(href) : this.toRoutePath(link.href);
+        if (path === null) return;
+        
+        e.preventDefault();
+        this.navigateTo(path);
+        
+        // Close mobile menu if open
+        if (this.isMenuOpen) {
+            this.toggleMobileMenu();
         }
     }
     
     /**
      * Handle browser back/forward
      */
+    onPopState() {
+        this.navigateTo(this.getLocationPath(), false);
+    }
+    
+    /**
+     * Redirect an old #route in place (e.g. editing the URL to #projects)
+     */
     onHashChange() {
-        const hash = window.location.hash.replace('#', '');
-        if (hash && this.isValidPage(hash)) {
-            this.navigateTo(hash, false);
+        const legacy = this.fromLegacyHash(window.location.hash);
+        if (legacy !== null) {
+            this.navigateTo(legacy, true, true);
         }
     }
     
+    /**
+     * Route path for an old hash link ('#projects/project-3' → 'projects/project-3')
+     * @param {string} hash - location.hash or a link's hash
+     * @returns {string|null} Null when the hash isn't a route (e.g. an in-page anchor)
+     */
+    fromLegacyHash(hash) {
+        const path = hash.replace(/^#/, '');
+        if (!path) return null;
+        if (path === 'home') return '';
+        
+        return this.isValidPage(path) ? path : null;
+    }
+    
+    /**
+     * Route path (with query) of the current location, relative to the base path
+     */
+    getLocationPath() {
+        const { pathname, search } = window.location;
+        const path = pathname.startsWith(this.basePath)
+            ? pathname.slice(this.basePath.length)
+            : pathname.replace(/^\//, '');
+        
+        return this.cleanPath(path) + search;
+    }
+    
+    /**
+     * Drop a trailing slash, and treat index.html as home
+     */
+    cleanPath(path) {
+        return path.replace(/^index\.html$/, '').replace(/\/$/, '');
+    }
+    
+    /**
+     * Route path for a link, or null if the browser should follow it
+     * @param {string} href - Absolute URL (link.href)
+     * @returns {string|null}
+     */
+    toRoutePath(href) {
+        const url = new URL(href, document.baseURI);
+        if (url.origin !== window.location.origin || !url.pathname.startsWith(this.basePath)) return null;
+        
+        // Old #route links in content
+        const legacy = this.fromLegacyHash(url.hash);
+        if (legacy !== null) return legacy;
+        
+        const path = url.pathname.slice(this.basePath.length);
+        
+        // Real files, and anchors within the current page
+        if (/\.[a-z0-9]+$/i.test(path) && path !== 'index.html') return null;
+        if (url.hash && url.pathname + url.search === window.location.pathname + window.location.search) return null;
+        
+        return this.cleanPath(path) + url.search;
+    }
+    
+    /**
+     * Full URL for a route path
+     * @param {string} path - Route path, optionally with '?query'
+     */
+    toUrl(path) {
+        return this.basePath + path;
+    }
+    
     /**
      * Navigate to a page
-     * @param {string} page - Page ID to navigate to
-     * @param {boolean} updateHash - Whether to update URL hash
+     * @param {string} path - Route path to navigate to (e.g. 'projects/sublime-symbols' or 'projects?sort=title')
+     * @param {boolean} updateHistory - Whether to add the path to history
+     * @param {boolean} replace - Replace the current history entry instead of pushing one
+     * @returns {Promise} Resolves once the page is shown (a view transition swaps it in asynchronously)
+     */
+    navigateTo(path, updateHistory = true, replace = false) {
+        const route = this.resolveRoute(path) || this.notFoundRoute(path);
+        
+        // Same page with different state (e.g. back/forward between sort orders)
+        if (route.path === this.currentPath) {
+            if (route.query !== this.currentQuery) {
+                if (updateHistory) {
+                    this.updateHistory(path, replace);
+                }
+                this.currentQuery = route.query;
+                window.dispatchEvent(new CustomEvent('queryChange', {
+                    detail: { page: route.page, query: new URLSearchParams(route.query) }
+                }));
+            }
+            return Promise.resolve();
+        }
+        
+        const previous = { page: this.currentPage, path: this.currentPath };
+        
+        // Let the page being left clean up
+        const leaving = Pages.get(this.currentPage);
+        if (leaving && leaving.unmount) {
+            leaving.unmount(this.getSection(leaving.id));
+        }
+        
+        // Update URL
+        if (updateHistory) {
+            this.updateHistory(path, replace);
+        }
+        
+        // Update current page
+        this.currentPage = route.page;
+        this.currentPath = route.path;
+        this.currentParams = route.params;
+        this.currentQuery = route.query;
+        
+        if (this.isReady && !this.reducedMotionQuery.matches) {
+            return this.transitionTo(route, previous);
+        }
+        
+        this.showPage(route);
+        return Promise.resolve();
+    }
+    
+    /**
+     * Swap to a route's page section and let other modules render into it
+     * @param {Object} route - Resolved route
+     * @param {boolean} animated - A transition is covering the swap, so jump rather than scroll
      */
-    navigateTo(page, updateHash = true) {
-        if (page === this.currentPage) return;
+    showPage(route, animated = false) {
+        const page = route.page;
+        const targetSection = this.getSection(page);
         
         // Hide all pages (both section and div elements with page-section class)
-        this.pageSections.forEach(section => {
+        document.querySelectorAll('.page-section').forEach(section => {
             section.classList.remove('active');
         });
         
         // Show target page
-        const targetSection = document.getElementById(page);
-        if (targetSection) {
-            targetSection.classList.add('active');
-        }
+        targetSection.classList.add('active');
         
         // Update nav link active states
         this.navLinks.forEach(link => {
             link.classList.remove('active');
-            if (link.dataset.nav === page) {
+            if (link.dataset.nav === route.nav) {
                 link.classList.add('active');
             }
         });
         
-        // Update hash
-        if (updateHash) {
-            window.history.pushState(null, '', `#${page}`);
-        }
-        
         // Scroll to top
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-        
-        // Update current page
-        this.currentPage = page;
+        window.scrollTo({ top: 0, behavior: animated ? 'instant' : 'smooth' });
         
         // Refresh cursor interactions for new page content
         if (window.customCursor) {
             window.customCursor.refresh();
         }
         
-        // Re-initialize project list if on projects page
-        if (page === 'projects' && window.projectList) {
-            window.projectList.cacheProjects();
-        }
+        // Let the page render itself
+        this.mountPage();
         
         // Dispatch navigation event
         window.dispatchEvent(new CustomEvent('pageChange', {
-            detail: { page }
+            detail: { page, path: route.path, params: route.params, query: new URLSearchParams(route.query) }
         }));
     }
     
     /**
-     * Check if page ID is valid
-     * Contact page has been removed
+     * Mount the current page and update the document title
+     * Also called to re-render it, e.g. once the data it needs has loaded
      */
-    isValidPage(page) {
-        return ['home', 'projects'].includes(page);
+    mountPage() {
+        const page = Pages.get(this.currentPage);
+        if (!page) return;
+        
+        Pages.mount(page, this.currentParams, this.getSection(page.id));
+        document.title = Pages.titleFor(page, this.currentParams);
+    }
+    
+    /**
+     * A page's section, created before the footer for pages index.html doesn't have
+     * @param {string} id - Page ID
+     * @returns {HTMLElement}
+     */
+    getSection(id) {
+        let section = document.getElementById(id);
+        
+        if (!section) {
+            section = document.createElement('div');
+            section.id = id;
+            section.className = 'page-section';
+            if (this.footer) {
+                this.footer.before(section);
+            } else {
+                document.querySelector('main').appendChild(section);
+            }
+        }
+        
+        return section;
+    }
+    
+    /**
+     * Animate from the current page to a route
+     * A project row morphs into the detail header (and back); everything else crossfades.
+     * Starting another navigation mid-way skips the running one to its end state
+     * @param {Object} route - Resolved route to show
+     * @param {Object} previous - { page, path } being left
+     * @returns {Promise} Resolves once the new page is in the DOM
+     */
+    transitionTo(route, previous) {
+        this.finishTransition();
+        
+        if (!document.startViewTransition) {
+            this.showPage(route, true);
+            this.fadeIn(document.getElementById(route.page));
+            return Promise.resolve();
+        }
+        
+        // Row → detail: name the row now, so it's in the old snapshot
+        const toDetail = previous.page === 'projects' && route.page === 'project-detail';
+        const fromDetail = previous.page === 'project-detail' && route.page === 'projects';
+        this.setMorph(toDetail ? this.findProjectRow(route.path) : fromDetail ? this.findDetailHeader() : null);
+        
+        const transition = document.startViewTransition(() => {
+            // A later navigation already took over; it renders its own page
+            if (this.currentPath !== route.path) return;
+            
+            this.clearMorph();
+            this.showPage(route, true);
+            
+            // ...and name its counterpart once the new page is rendered
+            this.setMorph(toDetail ? this.findDetailHeader() : fromDetail ? this.findProjectRow(previous.path) : null);
+        });
+        
+        this.activeTransition = transition;
+        transition.finished.finally(() => {
+            if (this.activeTransition !== transition) return;
+            this.activeTransition = null;
+            this.clearMorph();
+        });
+        
+        return transition.updateCallbackDone;
+    }
+    
+    /**
+     * Jump any running transition to its end state
+     */
+    finishTransition() {
+        if (this.activeTransition) {
+            this.activeTransition.skipTransition();
+            this.activeTransition = null;
+            this.clearMorph();
+        }
+        
+        if (this.fadingSection) {
+            this.fadingSection.classList.remove('page-enter', 'page-enter-active');
+            this.fadingSection = null;
+        }
+    }
+    
+    /**
+     * Fallback transition: fade the new section in with the .page-enter classes
+     * @param {HTMLElement} section - Section being shown
+     */
+    fadeIn(section) {
+        if (!section) return;
+        
+        this.fadingSection = section;
+        section.classList.add('page-enter', 'page-enter-active');
+        
+        // Flush the starting opacity so removing .page-enter transitions
+        void section.offsetWidth;
+        section.classList.remove('page-enter');
+        
+        section.addEventListener('transitionend', () => {
+            if (this.fadingSection !== section) return;
+            section.classList.remove('page-enter-active');
+            this.fadingSection = null;
+        }, { once: true });
+    }
+    
+    /**
+     * Give one element the shared morph name (names must be unique per snapshot)
+     */
+    setMorph(element) {
+        this.clearMorph();
+        if (element) {
+            element.style.viewTransitionName = this.morphName;
+        }
+    }
+    
+    clearMorph() {
+        document.querySelectorAll('[style*="view-transition-name"]').forEach(element => {
+            element.style.viewTransitionName = '';
+        });
+    }
+    
+    /**
+     * Visible project row linking to a detail path
+     * @param {string} path - Route path, e.g. 'projects/sublime-symbols'
+     */
+    findProjectRow(path) {
+        const row = document.querySelector(`#projectList .project-item[href="${CSS.escape(path)}"]`);
+        return row && row.offsetParent ? row : null;
+    }
+    
+    findDetailHeader() {
+        return document.querySelector('#projectDetail .project-detail-header');
+    }
+    
+    /**
+     * Push or replace a history entry for a route path
+     */
+    updateHistory(path, replace = false) {
+        if (replace) {
+            window.history.replaceState(null, '', this.toUrl(path));
+        } else {
+            window.history.pushState(null, '', this.toUrl(path));
+        }
+    }
+    
+    /**
+     * Write the current page's state into the URL without navigating
+     * Typing should replace the entry; discrete changes push one so back/forward steps through them
+     * @param {URLSearchParams|Object} query - State to serialize (empty clears it)
+     * @param {boolean} replace - Replace the history entry instead of pushing
+     */
+    setQuery(query, replace = false) {
+        const search = new URLSearchParams(query).toString();
+        if (search === this.currentQuery) return;
+        
+        this.updateHistory(search ? `${this.currentPath}?${search}` : this.currentPath, replace);
+        this.currentQuery = search;
+    }
+    
+    /**
+     * Match a route path against the route table
+     * @param {string} path - Path relative to the base, without a leading '/'
+     * @returns {Object|null} Page ID, nav link, captured params, route path and query string
+     */
+    resolveRoute(path) {
+        const [routePath, search = ''] = path.split(/\?(.*)/s);
+        const query = new URLSearchParams(search).toString();
+        
+        for (const route of this.routes) {
+            const match = route.pattern.exec(routePath);
+            if (!match) continue;
+            
+            const params = {};
+            (route.params || []).forEach((name, index) => {
+                if (match[index + 1] !== undefined) {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                }
+            });
+            
+            return {
+                page: route.id,
+                nav: route.nav || route.id,
+                params,
+                path: routePath,
+                query
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Route for a path that matches nothing, shown as the not-found page
+     * @param {string} path - Route path
+     */
+    notFoundRoute(path) {
+        const [routePath, search = ''] = path.split(/\?(.*)/s);
+        
+        return {
+            page: 'not-found',
+            nav: null,
+            params: { path: routePath },
+            path: routePath,
+            query: new URLSearchParams(search).toString()
+        };
+    }
+    
+    /**
+     * Check if a route path maps to a known route
+     */
+    isValidPage(path) {
+        return this.resolveRoute(path) !== null;
     }
     
     /**
@@ -166,6 +549,21 @@ class Navigation {
     getCurrentPage() {
         return this.currentPage;
     }
+    
+    /**
+     * Get params captured by the current route (e.g. { id: 'project-3' })
+     */
+    getCurrentParams() {
+        return this.currentParams;
+    }
+    
+    /**
+     * Get state from the current URL (e.g. sort=title&dir=asc)
+     * @returns {URLSearchParams}
+     */
+    getCurrentQuery() {
+        return new URLSearchParams(this.currentQuery);
+    }
 }
 
 // Initialize navigation
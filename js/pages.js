@@ -0,0 +1,263 @@
+/**
+ * ============================================
+ * PAGES.JS
+ * Registry of routable pages. Navigation builds its
+ * routes, nav links and document titles from here,
+ * and calls each page's mount/unmount hooks
+ * Depends on: templates.js (Template), bibtex.js (BibTeX), renderers.js (Renderers),
+ *             schema.js (DataSchema, optional)
+ * ============================================
+ */
+
+class Pages {
+    /**
+     * Look up a page by id
+     * @param {string} id - Page ID (also the id of its .page-section)
+     * @returns {Object|null}
+     */
+    static get(id) {
+        return Pages.list.find(page => page.id === id) || null;
+    }
+
+    /**
+     * Pages that can be matched by path (the not-found page can't)
+     */
+    static routes() {
+        return Pages.list.filter(page => page.pattern);
+    }
+
+    /**
+     * Pages listed in the header nav, in registry order
+     */
+    static navPages() {
+        return Pages.list.filter(page => page.navLabel);
+    }
+
+    /**
+     * document.title for a page
+     * @param {Object} page - Registry entry
+     * @param {Object} params - Route params
+     * @returns {string}
+     */
+    static titleFor(page, params = {}) {
+        const title = typeof page.title === 'function' ? page.title(params) : page.title;
+        return title ? `${title} — ${Pages.siteTitle}` : Pages.siteTitle;
+    }
+
+    /**
+     * Header nav links
+     * @returns {SafeHtml}
+     */
+    static navLinks() {
+        return Template.html`${Pages.navPages().map(page => Template.html`
+            <li class="nav-item">
+                <a href="${page.href}" class="nav-link cursor-interact" data-nav="${page.id}">${page.navLabel}</a>
+            </li>
+        `)}`;
+    }
+
+    /**
+     * Show a page: run its mount hook, or fetch its data and render it
+     * Pages without a mount hook need a dataSource and a render(data, params) function
+     * With several data sources, render gets them keyed by source
+     * @param {Object} page - Registry entry
+     * @param {Object} params - Route params
+     * @param {HTMLElement} section - The page's .page-section
+     */
+    static mount(page, params, section) {
+        if (page.mount) {
+            page.mount(params, section);
+            return;
+        }
+        if (!page.render) return;
+
+        const sources = [].concat(page.dataSource);
+
+        Promise.all(sources.map(source => Pages.load(source)))
+            .then(results => {
+                const data = Array.isArray(page.dataSource)
+                    ? Object.fromEntries(sources.map((source, index) => [source, results[index]]))
+                    : results[0];
+
+                // Skip if the visitor has moved on while the data loaded
+                if (!section.classList.contains('active')) return;
+
+                section.innerHTML = page.render(data, params);
+
+                if (window.customCursor) {
+                    window.customCursor.refresh();
+                }
+            })
+            .catch(error => {
+                console.error(`Failed to load ${page.id}:`, error);
+                section.innerHTML = Template.html`<p class="page-error">Failed to load this page. Please refresh.</p>`;
+            });
+    }
+
+    /**
+     * File, schema name and parser for a data source
+     * @param {string} source - 'projects' (data/projects.json) or a file name like 'publications.bib'
+     * @returns {{url: string, name: string, parse: Function}} parse(text, name, errors)
+     */
+    static dataFile(source) {
+        const [, name, format = 'json'] = /^(.*?)(?:\.(\w+))?$/.exec(source);
+        const parse = Pages.formats[format];
+        if (!parse) {
+            throw new Error(`No parser for .${format} data files`);
+        }
+
+        return { url: `data/${name}.${format}`, name, parse };
+    }
+
+    /**
+     * Fetch a data file once, dropping invalid entries if it has a schema
+     * @param {string} source - Data source (see dataFile)
+     * @returns {Promise<Object>}
+     */
+    static load(source) {
+        if (!source) return Promise.resolve(null);
+
+        if (!Pages.cache.has(source)) {
+            const { url, name, parse } = Pages.dataFile(source);
+            const request = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${url} responded with ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(text => {
+                    const errors = [];
+                    const data = parse(text, name, errors);
+                    errors.forEach(error => console.error(`[${url}] ${error.message} (entry skipped)`));
+                    return data;
+                })
+                .then(data => {
+                    if (!window.DataSchema || !DataSchema.schemas[name]) return data;
+
+                    const result = DataSchema.validate(data, name);
+                    DataSchema.report(url, result);
+                    return { ...data, [DataSchema.schemas[name].root]: result.entries };
+                });
+
+            // Let a failed load be retried on the next visit
+            request.catch(() => Pages.cache.delete(source));
+            Pages.cache.set(source, request);
+        }
+
+        return Pages.cache.get(source);
+    }
+}
+
+Pages.siteTitle = 'Carl Illustrisimo';
+Pages.cache = new Map();
+
+/**
+ * Data file parsers by extension
+ * Each returns data shaped like the JSON files ({ <name>: [...] }) so schemas apply the same way;
+ * entries it has to skip go in errors rather than failing the whole file
+ */
+Pages.formats = {
+    json: text => JSON.parse(text),
+    bib: (text, name, errors) => ({ [name]: BibTeX.parse(text, errors) })
+};
+
+/**
+ * The pages, in nav order
+ * id: page ID, matching a .page-section in index.html (Navigation creates one if it's missing)
+ * pattern / params: route path regex (relative to the base path) and names for its captures
+ * nav: nav link to highlight, for nested pages (defaults to the page's own)
+ * title: document.title prefix, or (params) => title; none for the site title alone
+ * navLabel / href: header nav entry, for top-level pages
+ * dataSource: data file the page is built from: a name for data/<name>.json, or a file name (e.g. 'publications.bib');
+ *             a list of them to build from several. Pages with a mount hook are rendered by ContentLoader,
+ *             which loads the same source through Pages.load at startup, so each file is fetched once
+ * mount(params, section) / unmount(section): called as the page is shown and left
+ * render(data, params): for pages without a mount hook, markup from the loaded dataSource
+ *
+ * Adding a page, e.g. talks:
+ *   { id: 'talks', pattern: /^talks$/, title: 'Talks', navLabel: 'Talks', href: 'talks',
+ *     dataSource: 'talks', render: data => Renderers.talks(data.talks) }
+ */
+Pages.list = [
+    {
+        id: 'home',
+        pattern: /^$/,
+        title: null,
+        navLabel: 'Home',
+        href: './',
+        dataSource: 'updates'
+    },
+    {
+        id: 'projects',
+        pattern: /^projects$/,
+        title: 'Projects',
+        navLabel: 'Projects',
+        href: 'projects',
+        dataSource: 'projects',
+        mount() {
+            if (window.projectList) window.projectList.cacheProjects();
+            if (window.contentLoader) window.contentLoader.preloadAllPreviewImages();
+        },
+        unmount() {
+            if (window.projectList) window.projectList.unpinPreview();
+        }
+    },
+    {
+        id: 'project-detail',
+        pattern: /^projects\/([\w-]+)$/,
+        params: ['id'],
+        nav: 'projects',
+        title(params) {
+            const project = window.contentLoader && window.contentLoader.findProject(params.id);
+            return project ? project.title : 'Projects';
+        },
+        dataSource: 'projects',
+        mount(params) {
+            if (window.contentLoader) window.contentLoader.renderProjectDetail(params.id);
+        }
+    },
+    {
+        id: 'publications',
+        pattern: /^publications$/,
+        title: 'Publications',
+        navLabel: 'Publications',
+        href: 'publications',
+        dataSource: 'publications.bib',
+        render: data => Renderers.publications(data.publications)
+    },
+    {
+        id: 'cv',
+        pattern: /^cv$/,
+        title: 'CV',
+        navLabel: 'CV',
+        href: 'cv',
+        dataSource: ['resume', 'projects'],
+        render: data => Renderers.cv(data.resume, data.projects.projects)
+    },
+    {
+        id: 'updates-archive',
+        pattern: /^updates(?:\/(\d{4}))?$/,
+        params: ['year'],
+        nav: 'home',
+        title: params => (params.year ? `Updates from ${params.year}` : 'Updates'),
+        dataSource: 'updates',
+        mount(params) {
+            if (window.contentLoader) window.contentLoader.renderUpdatesArchive(params.year);
+        }
+    },
+    {
+        id: 'not-found',
+        title: 'Page not found',
+        mount(params) {
+            if (window.contentLoader) window.contentLoader.renderNotFound(params.path);
+        }
+    }
+];
+
+// Expose for the browser and for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pages;
+} else {
+    window.Pages = Pages;
+}
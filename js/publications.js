@@ -0,0 +1,73 @@
+/**
+ * ============================================
+ * PUBLICATIONS.JS
+ * Copy buttons on the publications page
+ * The page itself is rendered from the registry
+ * (see Pages.list and Renderers.publications);
+ * each button carries its citation in data-copy
+ * ============================================
+ */
+
+class PublicationList {
+    constructor() {
+        // Configuration
+        this.feedbackDuration = 1500;
+        
+        // State
+        this.resetTimers = new Map(); // Button → timer restoring its label
+        
+        // Bind methods
+        this.onCopyClick = this.onCopyClick.bind(this);
+        
+        // Initialize
+        this.init();
+    }
+    
+    init() {
+        // Delegated, since the page is rendered after its data loads
+        document.addEventListener('click', this.onCopyClick);
+    }
+    
+    /**
+     * Copy a citation to the clipboard
+     */
+    onCopyClick(e) {
+        const button = e.target.closest('.publication-copy');
+        if (!button) return;
+        
+        const copy = navigator.clipboard
+            ? navigator.clipboard.writeText(button.dataset.copy)
+            : Promise.reject(new Error('Clipboard API unavailable'));
+        
+        copy
+            .then(() => this.showFeedback(button, 'Copied'))
+            .catch(error => {
+                console.error('Failed to copy citation:', error);
+                this.showFeedback(button, 'Copy failed');
+            });
+    }
+    
+    /**
+     * Swap a button's label briefly
+     * @param {HTMLElement} button - Copy button
+     * @param {string} text - Temporary label
+     */
+    showFeedback(button, text) {
+        if (!this.resetTimers.has(button)) {
+            button.dataset.label = button.textContent;
+        }
+        clearTimeout(this.resetTimers.get(button));
+        
+        button.textContent = text;
+        button.classList.add('is-copied');
+        
+        this.resetTimers.set(button, setTimeout(() => {
+            button.textContent = button.dataset.label;
+            button.classList.remove('is-copied');
+            this.resetTimers.delete(button);
+        }, this.feedbackDuration));
+    }
+}
+
+// Initialize publications
+window.publicationList = new PublicationList();
@@ -0,0 +1,915 @@
+/**
+ * ============================================
+ * RENDERERS.JS
+ * Shared markup for project rows, updates and
+ * the project detail view. ContentLoader and
+ * ProjectList both render through these so a
+ * row looks the same whichever path built it
+ * Depends on: templates.js (Template), markdown.js (Markdown), dates.js (Dates),
+ *             bibtex.js (BibTeX)
+ * ============================================
+ */
+
+class Renderers {
+    /**
+     * Route path of a project's detail view, by slug when it has one
+     * Relative to the site's base path (see <base href>)
+     * @param {Object} project - Project data
+     * @returns {string} e.g. 'projects/sublime-symbols'
+     */
+    static getProjectPath(project) {
+        return `projects/${encodeURIComponent(project.slug || project.id)}`;
+    }
+
+    /**
+     * Resolve where a project row should lead
+     * Projects with a description (or no usable external link) open their detail view
+     * @param {Object} project - Project data
+     * @returns {{href: string, external: boolean}}
+     */
+    static getProjectLink(project) {
+        const external = Template.safeUrl(project.link);
+
+        if (project.description || !external) {
+            return { href: Renderers.getProjectPath(project), external: false };
+        }
+        return { href: external, external: true };
+    }
+
+    /**
+     * Whether a preview entry is a video clip rather than a still
+     * @param {string} src - Media URL
+     */
+    static isVideo(src) {
+        return /\.(mp4|webm)(?:[?#]|$)/i.test(String(src || ''));
+    }
+
+    /**
+     * Normalise previewImage (string or array) and previewImages (array)
+     * Entries may be paths or { src, caption, alt, duration, poster } objects
+     * @param {Object} project - Project data
+     * @returns {{src: string, caption: string|null, alt: string|null, duration: number|null, poster: string|null}[]}
+     */
+    static getPreviewItems(project) {
+        const images = Array.isArray(project.previewImages)
+            ? project.previewImages
+            : project.previewImage;
+
+        if (!images) return [];
+        return (Array.isArray(images) ? images : [images])
+            .map(image => (image && typeof image === 'object' ? image : { src: image }))
+            .filter(image => Template.safeUrl(image.src))
+            .map(image => ({
+                src: image.src,
+                caption: image.caption || null,
+                alt: image.alt || null,
+                duration: image.duration || null,
+                poster: Template.safeUrl(image.poster) ? image.poster : null
+            }));
+    }
+
+    /**
+     * Preview image URLs only (what rows carry in data-preview)
+     * @param {Object} project - Project data
+     * @returns {string[]}
+     */
+    static getPreviewImages(project) {
+        return Renderers.getPreviewItems(project).map(image => image.src);
+    }
+
+    /**
+     * Stills for the card layout: images as-is, clips by their poster
+     * @param {Object} project - Project data
+     * @returns {string[]}
+     */
+    static getCardImages(project) {
+        return Renderers.getPreviewItems(project)
+            .map(item => (Renderers.isVideo(item.src) ? item.poster : item.src))
+            .filter(Boolean);
+    }
+
+    /**
+     * Tags for filtering; projects without tags fall back to their category
+     * @param {Object} project - Project data
+     * @returns {string[]}
+     */
+    static getProjectTags(project) {
+        if (Array.isArray(project.tags) && project.tags.length) {
+            return project.tags;
+        }
+        return project.category ? [project.category] : [];
+    }
+
+    /**
+     * Arrow icon shown in the last column of every row
+     */
+    static arrowIcon() {
+        return Template.raw(`
+            <span class="project-arrow">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <line x1="5" y1="12" x2="19" y2="12"></line>
+                    <polyline points="12 5 19 12 12 19"></polyline>
+                </svg>
+            </span>
+        `);
+    }
+
+    /**
+     * Preview affordance shown beside the arrow in touch mode
+     * Not a button, since rows are links; TouchPreview handles taps on it
+     * @param {number} count - Number of preview images
+     */
+    static previewToggle(count) {
+        return Template.html`
+            <span class="project-preview-toggle" data-preview-open aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <rect x="3" y="5" width="18" height="14"></rect>
+                    <polyline points="3 16 9 11 14 15 17 13 21 16"></polyline>
+                </svg>
+                <span class="project-preview-count">${count}</span>
+            </span>
+        `;
+    }
+
+    /**
+     * Data attribute a column's sort value is carried in (camelCase → data-kebab-case)
+     * @param {Object} column - Column definition
+     */
+    static columnAttr(column) {
+        return `data-${column.field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    }
+
+    /**
+     * Cell content for a column: the formatter's output, or the raw value
+     * @param {Object} column - Column definition
+     * @param {Object} project - Project data
+     * @returns {SafeHtml|string}
+     */
+    static columnValue(column, project) {
+        const value = project[column.field];
+        if (column.formatter) return column.formatter(value, project);
+        return Array.isArray(value) ? value.join(', ') : (value ?? '');
+    }
+
+    /**
+     * Classes and width shared by a column's header and cells
+     * @param {Object} column - Column definition
+     * @param {string} base - 'filter-column' or 'project-column'
+     */
+    static columnAttrs(column, base) {
+        const classes = [base, column.field];
+        if (column.width === 'fill') classes.push('is-fill');
+        if (column.optional) classes.push('is-optional');
+
+        return Template.html`class="${classes.join(' ')}"${column.width && column.width !== 'fill'
+            ? Template.html` style="--column-width: ${column.width}"`
+            : ''}`;
+    }
+
+    /**
+     * Header cells, one per column; sortable columns get a sort button
+     * @param {Object[]} [columns] - Column definitions
+     * @returns {SafeHtml}
+     */
+    static projectHeader(columns = Renderers.columns) {
+        return Template.html`
+            ${columns.map(column => Template.html`
+                <li ${Renderers.columnAttrs(column, 'filter-column')}>
+                    ${column.sortable
+                        ? Template.html`<button class="cursor-interact filter-btn" data-sort="${column.field}">${column.label}</button>`
+                        : Template.html`<span class="filter-label">${column.label}</span>`}
+                </li>
+            `)}
+            <li class="filter-column arrow-header">
+                <span></span>
+            </li>
+        `;
+    }
+
+    /**
+     * Row columns, one per column definition, then the arrow
+     * @param {Object} project - Project data (or placeholder values)
+     * @param {number} [previewCount] - Adds the touch preview affordance when non-zero
+     * @param {Object[]} [columns] - Column definitions
+     */
+    static projectColumns(project, previewCount = 0, columns = Renderers.columns) {
+        return Template.html`
+            <ul class="project-content">
+                ${columns.map(column => Template.html`
+                    <li ${Renderers.columnAttrs(column, 'project-column')}><p>${Renderers.columnValue(column, project)}</p></li>
+                `)}
+                <li class="project-column arrow">${previewCount ? Renderers.previewToggle(previewCount) : ''}${Renderers.arrowIcon()}</li>
+            </ul>
+        `;
+    }
+
+    /**
+     * Thumbnail shown when the list is in card layout (hidden, and so never fetched, in the table)
+     * Cards with several stills carry them in data-slides for the hover slideshow
+     * @param {string[]} images - Stills from getCardImages
+     */
+    static projectCardMedia(images) {
+        if (!images.length) return '';
+
+        return Template.html`
+            <span class="project-card-media" aria-hidden="true">
+                <img src="${images[0]}" alt="" loading="lazy" decoding="async"${images.length > 1
+                    ? Template.html` data-slides="${Template.escapeAttr(images)}"`
+                    : ''}>
+            </span>
+        `;
+    }
+
+    /**
+     * A single project row (also a card in the grid layout)
+     * Extra sortable columns carry their raw value as data-<field> for ProjectList
+     * @param {Object} project - Project data
+     * @param {Object[]} [columns] - Column definitions
+     * @returns {SafeHtml}
+     */
+    static projectRow(project, columns = Renderers.columns) {
+        const link = Renderers.getProjectLink(project);
+        const images = Renderers.getPreviewImages(project);
+        const sortAttrs = columns
+            .filter(column => column.sortable && !Renderers.rowFields.includes(column.field))
+            .map(column => {
+                const value = project[column.field];
+                return Template.html` ${Template.raw(Renderers.columnAttr(column))}="${Array.isArray(value) ? value.join(', ') : value ?? ''}"`;
+            });
+
+        return Template.html`
+            <a class="project-item active cursor-interact"
+               href="${link.href}"
+               ${link.external ? Template.raw('target="_blank" rel="noopener noreferrer"') : ''}
+               data-id="${project.id}"
+               data-year="${project.year}"
+               data-title="${project.title}"
+               data-category="${project.category}"
+               data-tags="${Template.escapeAttr(Renderers.getProjectTags(project))}"${sortAttrs}
+               ${images.length ? Template.html`data-preview="${Template.escapeAttr(images)}"` : ''}>
+                ${Renderers.projectCardMedia(Renderers.getCardImages(project))}
+                ${Renderers.projectColumns(project, images.length, columns)}
+            </a>
+        `;
+    }
+
+    /**
+     * The full project list, or a placeholder row when empty
+     * @param {Object[]} projects - Project data
+     * @returns {SafeHtml}
+     */
+    static projectList(projects) {
+        if (!projects || projects.length === 0) {
+            return Renderers.projectMessageRow('No projects available');
+        }
+        return Template.html`${projects.map(project => Renderers.projectRow(project))}`;
+    }
+
+    /**
+     * Section for one group in the grouped project view
+     * ProjectList moves the rows in and keeps the count current
+     * @param {string} key - Group key (remembered when collapsed)
+     * @param {string} label - Heading text
+     * @param {boolean} collapsed - Start collapsed
+     * @returns {SafeHtml}
+     */
+    static projectGroup(key, label, collapsed = false) {
+        return Template.html`
+            <section class="project-group${collapsed ? ' is-collapsed' : ''}" data-group-key="${key}">
+                <h3 class="project-group-heading">
+                    <button type="button" class="project-group-toggle cursor-interact" aria-expanded="${String(!collapsed)}">
+                        <span class="project-group-label">${label}</span>
+                        <span class="project-group-count"></span>
+                    </button>
+                </h3>
+                <div class="project-group-items"${collapsed ? Template.raw(' hidden') : ''}></div>
+            </section>
+        `;
+    }
+
+    /**
+     * Placeholder row for loading, empty and error states
+     * The message goes in the fill column, every other column shows a dash
+     * @param {string} message - Placeholder text
+     */
+    static projectMessageRow(message) {
+        const columns = Renderers.columns.map(column => ({ ...column, formatter: null }));
+        const messageColumn = columns.find(column => column.width === 'fill') || columns[0];
+        const values = Object.fromEntries(columns.map(column => [
+            column.field,
+            column === messageColumn ? message : '-'
+        ]));
+
+        return Template.html`
+            <div class="project-item active">
+                ${Renderers.projectColumns(values, 0, columns)}
+            </div>
+        `;
+    }
+
+    /**
+     * An update's date as a <time> element
+     * @param {string} value - Raw date from data
+     * @param {Object} dateFormat - Display options (see Dates.defaults)
+     * @param {SafeHtml} [content] - Replaces the formatted text (e.g. search highlights)
+     * @returns {SafeHtml}
+     */
+    static updateDate(value, dateFormat = Dates.defaults, content = null) {
+        const date = Dates.display(value, dateFormat);
+
+        return Template.html`<time class="update-date" datetime="${date.iso || ''}"${date.title
+            ? Template.html` title="${date.title}"`
+            : ''}>${content || date.text}</time>`;
+    }
+
+    /**
+     * A single update entry
+     * Text is inline Markdown; the legacy link/linkText pair is still appended after it
+     * @param {Object} update - Update data
+     * @param {Object} dateFormat - Display options (see Dates.defaults)
+     * @returns {SafeHtml}
+     */
+    static updateItem(update, dateFormat = Dates.defaults) {
+        const href = Template.safeUrl(update.link);
+        const link = href
+            ? Template.html` <a href="${href}" class="update-link">${update.linkText || '(link)'}</a>`
+            : '';
+
+        return Template.html`
+            <div class="update-item">
+                ${Renderers.updateDate(update.date, dateFormat)}
+                <span class="update-text">${Markdown.renderInline(update.text)}${link}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * First `limit` updates, a "show more" control when more remain, and the archive link
+     * @param {Object[]} updates - All updates, newest first
+     * @param {number} limit - How many to show
+     * @param {Object} dateFormat - Display options (see Dates.defaults)
+     * @returns {SafeHtml}
+     */
+    static updatesPage(updates, limit, dateFormat = Dates.defaults) {
+        if (!updates || updates.length === 0) {
+            return Renderers.updateMessage('-', 'No updates available.');
+        }
+
+        const remaining = updates.length - limit;
+
+        return Template.html`
+            ${updates.slice(0, limit).map(update => Renderers.updateItem(update, dateFormat))}
+            <div class="updates-more">
+                ${remaining > 0
+                    ? Template.html`<button class="updates-more-btn cursor-interact" type="button">show ${remaining} more</button>`
+                    : Template.raw('<span></span>')}
+                <a href="updates" class="updates-more-link cursor-interact">archive &rarr;</a>
+            </div>
+        `;
+    }
+
+    /**
+     * Year an update belongs to
+     * @returns {string|null}
+     */
+    static getUpdateYear(update) {
+        const date = Dates.parse(update.date);
+        return date ? String(date.getUTCFullYear()) : null;
+    }
+
+    /**
+     * All updates grouped by year, newest year first, with a year index
+     * @param {Object[]} updates - All updates, newest first
+     * @param {string} [activeYear] - Year to highlight
+     * @param {Object} dateFormat - Display options (see Dates.defaults)
+     * @returns {SafeHtml}
+     */
+    static updatesArchive(updates, activeYear, dateFormat = Dates.defaults) {
+        const groups = new Map();
+        updates.forEach(update => {
+            const year = Renderers.getUpdateYear(update) || 'Undated';
+            if (!groups.has(year)) groups.set(year, []);
+            groups.get(year).push(update);
+        });
+
+        const years = [...groups.keys()].sort((a, b) => b.localeCompare(a));
+
+        if (years.length === 0) {
+            return Renderers.updateMessage('-', 'No updates available.');
+        }
+
+        return Template.html`
+            <div class="updates-archive-header">
+                <a href="./" class="project-detail-back cursor-interact">&larr; home</a>
+                <h1 class="project-detail-title">Updates archive</h1>
+                <ul class="updates-archive-index">
+                    ${years.map(year => Template.html`
+                        <li>
+                            <a href="updates/${year}" class="updates-archive-year-link cursor-interact${year === activeYear ? ' active' : ''}">
+                                ${year} <span class="updates-archive-count">(${groups.get(year).length})</span>
+                            </a>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+            ${years.map(year => Template.html`
+                <section class="updates-archive-year${year === activeYear ? ' active' : ''}" id="updates-year-${year}">
+                    <h2 class="updates-archive-year-title">
+                        ${year} <span class="updates-archive-count">${groups.get(year).length} ${groups.get(year).length === 1 ? 'update' : 'updates'}</span>
+                    </h2>
+                    <div class="updates-content">
+                        ${groups.get(year).map(update => Renderers.updateItem(update, dateFormat))}
+                    </div>
+                </section>
+            `)}
+        `;
+    }
+
+    /**
+     * Placeholder update for empty and error states
+     */
+    static updateMessage(date, text) {
+        return Template.html`
+            <div class="update-item">
+                <span class="update-date">${date}</span>
+                <span class="update-text">${text}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Not-found view for paths that match no route
+     * @param {string} path - The unmatched route path
+     * @returns {SafeHtml}
+     */
+    static notFound(path) {
+        return Template.html`
+            <div class="project-detail-header">
+                <a href="./" class="project-detail-back cursor-interact">&larr; home</a>
+                <h1 class="project-detail-title">Page not found</h1>
+            </div>
+            <div class="project-detail-body">
+                <div class="project-detail-description">
+                    <p>Nothing lives at <code>/${path}</code>. It may have moved; try the <a href="projects" class="update-link cursor-interact">project list</a>.</p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Detail view for a single project
+     * @param {Object|null} project - Project data, or null if not found
+     * @param {string} missingTitle - Heading when project is null
+     * @returns {SafeHtml}
+     */
+    static projectDetail(project, missingTitle = 'Project not found') {
+        const back = Template.raw('<a href="projects" class="project-detail-back cursor-interact">&larr; all projects</a>');
+
+        if (!project) {
+            return Template.html`
+                <div class="project-detail-header">
+                    ${back}
+                    <h1 class="project-detail-title">${missingTitle}</h1>
+                </div>
+            `;
+        }
+
+        const meta = [
+            ['Year', project.year],
+            ['Type', project.category],
+            ['Role', project.role],
+            ['Collaborators', Array.isArray(project.collaborators) ? project.collaborators.join(', ') : null]
+        ].filter(([, value]) => value);
+
+        const paragraphs = (project.description || '')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean);
+
+        // Explicit links first, then the legacy single link if not already listed
+        const links = (Array.isArray(project.links) ? [...project.links] : [])
+            .map(l => ({ label: l.label, url: Template.safeUrl(l.url) }));
+        const legacyLink = Template.safeUrl(project.link);
+        if (legacyLink && !links.some(l => l.url === legacyLink)) {
+            links.push({ label: 'Project link', url: legacyLink });
+        }
+        const safeLinks = links.filter(l => l.url);
+
+        const images = Renderers.getPreviewItems(project);
+
+        return Template.html`
+            <div class="project-detail-header">
+                ${back}
+                <h1 class="project-detail-title">${project.title}</h1>
+                <ul class="project-detail-meta">
+                    ${meta.map(([label, value]) => Template.html`
+                        <li class="project-detail-meta-item">
+                            <span class="project-detail-label">${label}</span>
+                            <p>${value}</p>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+            <div class="project-detail-body">
+                <div class="project-detail-description">
+                    ${paragraphs.map(paragraph => Template.html`<p>${paragraph}</p>`)}
+                </div>
+                ${safeLinks.length ? Template.html`
+                    <ul class="project-detail-links">
+                        ${safeLinks.map(l => Template.html`
+                            <li><a href="${l.url}" class="update-link cursor-interact" target="_blank" rel="noopener noreferrer">${l.label} &rarr;</a></li>
+                        `)}
+                    </ul>
+                ` : ''}
+            </div>
+            ${images.length ? Template.html`
+                <div class="project-detail-gallery">
+                    ${images.map((image, index) => Template.html`
+                        <figure class="project-detail-figure">
+                            <button type="button" class="project-detail-zoom cursor-interact"
+                                    data-lightbox-project="${project.id}" data-lightbox-index="${index}"
+                                    aria-label="View image ${index + 1} of ${images.length} full screen">
+                                ${Renderers.isVideo(image.src) ? Template.html`
+                                    <video src="${image.src}" ${image.poster ? Template.html`poster="${image.poster}"` : ''}
+                                           muted loop playsinline preload="metadata"
+                                           aria-label="${image.alt || `${project.title} clip ${index + 1}`}"></video>
+                                ` : Template.html`
+                                    <img src="${image.src}" alt="${image.alt || `${project.title} preview ${index + 1}`}" loading="lazy" decoding="async">
+                                `}
+                            </button>
+                            ${image.caption ? Template.html`<figcaption>${image.caption}</figcaption>` : ''}
+                        </figure>
+                    `)}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Author list with the site owner highlighted
+     * @param {string} value - Raw BibTeX author field
+     * @returns {SafeHtml}
+     */
+    static publicationAuthors(value) {
+        const names = BibTeX.parseNames(value);
+
+        // "A and B", "A, B, and C"
+        const separator = index => {
+            if (index === 0) return '';
+            if (index < names.length - 1) return ', ';
+            return names.length > 2 ? ', and ' : ' and ';
+        };
+
+        return Template.html`${names.map((name, index) => {
+            const text = [name.first, name.last].filter(Boolean).join(' ');
+            return Template.html`${separator(index)}${Renderers.isOwner(name)
+                ? Template.html`<strong class="publication-owner">${text}</strong>`
+                : text}`;
+        })}`;
+    }
+
+    /**
+     * Whether an author is the site owner: same last name, and the full first name
+     * or just its initial ("C." or "C"), so a co-author sharing the initial isn't matched
+     * @param {Object} name - Name from BibTeX.parseNames
+     * @returns {boolean}
+     */
+    static isOwner(name) {
+        const { first, last } = Renderers.owner;
+        if (name.last !== last) return false;
+
+        return name.first === first || name.first.replace(/\.$/, '') === first[0];
+    }
+
+    /**
+     * Links for a publication: PDF, DOI, code and any other URL
+     * @param {Object} entry - Parsed BibTeX entry
+     * @returns {Object[]} { label, url }
+     */
+    static getPublicationLinks(entry) {
+        const doi = entry.fields.doi && BibTeX.clean(entry.fields.doi).replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+
+        return [
+            { label: 'PDF', url: entry.fields.pdf },
+            { label: 'DOI', url: doi ? `https://doi.org/${doi}` : null },
+            { label: 'Code', url: entry.fields.code },
+            { label: 'Link', url: entry.fields.url }
+        ]
+            .map(link => ({ label: link.label, url: Template.safeUrl(link.url) }))
+            .filter(link => link.url);
+    }
+
+    /**
+     * A single publication with its copy buttons (see PublicationList)
+     * @param {Object} entry - Parsed BibTeX entry
+     * @returns {SafeHtml}
+     */
+    static publicationItem(entry) {
+        const field = name => BibTeX.clean(entry.fields[name]);
+        const venue = field('journal') || field('booktitle') || field('publisher');
+        const links = Renderers.getPublicationLinks(entry);
+
+        return Template.html`
+            <li class="publication-item" id="pub-${entry.key}">
+                <p class="publication-title">${field('title')}</p>
+                <p class="publication-authors">${Renderers.publicationAuthors(entry.fields.author)}</p>
+                <p class="publication-venue">
+                    ${venue ? Template.html`<em>${venue}</em>, ` : ''}${field('year')}
+                    ${entry.fields.note ? Template.html`<span class="publication-note">${field('note')}</span>` : ''}
+                </p>
+                <ul class="publication-actions">
+                    <li>
+                        <button type="button" class="publication-copy cursor-interact" data-copy="${BibTeX.stringify(entry)}">Copy BibTeX</button>
+                    </li>
+                    <li>
+                        <button type="button" class="publication-copy cursor-interact" data-copy="${BibTeX.apa(entry)}">Copy APA</button>
+                    </li>
+                    ${links.map(link => Template.html`
+                        <li><a href="${link.url}" class="update-link cursor-interact" target="_blank" rel="noopener noreferrer">${link.label} &rarr;</a></li>
+                    `)}
+                </ul>
+            </li>
+        `;
+    }
+
+    /**
+     * Publications page, grouped by status, newest first within each group
+     * @param {Object[]} entries - Parsed BibTeX entries
+     * @returns {SafeHtml}
+     */
+    static publications(entries) {
+        const statuses = Renderers.publicationGroups.map(group => group.status).filter(Boolean);
+        const statusOf = entry => {
+            const status = entry.fields.status || 'published';
+            return statuses.includes(status) ? status : null;
+        };
+
+        const groups = Renderers.publicationGroups
+            .map(group => ({
+                ...group,
+                entries: entries
+                    .filter(entry => statusOf(entry) === group.status)
+                    .sort((a, b) => (Number(b.fields.year) || 0) - (Number(a.fields.year) || 0))
+            }))
+            .filter(group => group.entries.length > 0);
+
+        return Template.html`
+            <div class="publications">
+                <div class="project-detail-header">
+                    <h1 class="project-detail-title">Publications</h1>
+                </div>
+                ${groups.length ? groups.map(group => Template.html`
+                    <section class="publication-group">
+                        <h2 class="publication-group-title">
+                            ${group.label} <span class="updates-archive-count">${group.entries.length}</span>
+                        </h2>
+                        <ol class="publication-list">
+                            ${group.entries.map(entry => Renderers.publicationItem(entry))}
+                        </ol>
+                    </section>
+                `) : Template.html`<p class="publication-empty">No publications yet.</p>`}
+            </div>
+        `;
+    }
+
+    /**
+     * A JSON Resume date ("2025", "2025-07" or "2025-07-14") as "2025" or "Jul 2025"
+     * @param {string} value - Date from resume.json
+     * @returns {string}
+     */
+    static cvDate(value) {
+        const [year, month] = String(value).split('-').map(Number);
+        if (!month) return String(value);
+
+        return new Intl.DateTimeFormat(Dates.defaults.locale || undefined, {
+            month: 'short',
+            year: 'numeric',
+            timeZone: 'UTC'
+        }).format(new Date(Date.UTC(year, month - 1, 1)));
+    }
+
+    /**
+     * Date or date range for a CV entry; open ranges run to "present"
+     * @param {Object} item - Normalised entry (see Renderers.cvSections)
+     * @returns {string}
+     */
+    static cvDates(item) {
+        if (item.date) return Renderers.cvDate(item.date);
+        if (!item.startDate) return '';
+
+        const start = Renderers.cvDate(item.startDate);
+        const end = item.endDate ? Renderers.cvDate(item.endDate) : 'present';
+        return start === end ? start : `${start} – ${end}`;
+    }
+
+    /**
+     * Resume projects with { id } references filled in from projects.json
+     * Fields given alongside the id override the project's own; unknown ids are dropped
+     * @param {Object[]} entries - resume.json projects
+     * @param {Object[]} projects - projects.json projects
+     * @returns {Object[]} JSON Resume project entries
+     */
+    static getResumeProjects(entries = [], projects = []) {
+        return entries
+            .map(entry => {
+                if (!entry.id) return entry;
+
+                const project = projects.find(p => p.id === entry.id || p.slug === entry.id);
+                if (!project) return null;
+
+                const { id, ...overrides } = entry;
+                return {
+                    name: project.title,
+                    description: (project.description || '').split(/\n\s*\n/)[0] || null,
+                    startDate: String(project.year),
+                    url: Template.safeUrl(project.link) || Renderers.getProjectPath(project),
+                    roles: project.role ? [project.role] : [],
+                    keywords: Renderers.getProjectTags(project),
+                    ...overrides
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * A single CV entry
+     * @param {Object} item - Normalised entry (see Renderers.cvSections)
+     * @returns {SafeHtml}
+     */
+    static cvEntry(item) {
+        const url = Template.safeUrl(item.url);
+        const dates = Renderers.cvDates(item);
+
+        return Template.html`
+            <li class="cv-entry">
+                <div class="cv-entry-header">
+                    <p class="cv-entry-title">
+                        ${url ? Template.html`<a href="${url}" class="cursor-interact">${item.title}</a>` : item.title}
+                    </p>
+                    ${dates ? Template.html`<span class="cv-entry-dates">${dates}</span>` : ''}
+                </div>
+                ${item.subtitle ? Template.html`<p class="cv-entry-subtitle">${item.subtitle}</p>` : ''}
+                ${item.summary ? Template.html`<p class="cv-entry-summary">${item.summary}</p>` : ''}
+                ${item.highlights && item.highlights.length ? Template.html`
+                    <ul class="cv-entry-highlights">
+                        ${item.highlights.map(highlight => Template.html`<li>${highlight}</li>`)}
+                    </ul>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * CV page from JSON Resume data
+     * @param {Object} resume - Parsed data/resume.json
+     * @param {Object[]} projects - Projects that resume.projects can reference by id
+     * @returns {SafeHtml}
+     */
+    static cv(resume, projects = []) {
+        const basics = resume.basics || {};
+        const data = { ...resume, projects: Renderers.getResumeProjects(resume.projects, projects) };
+        const location = basics.location
+            ? [basics.location.city, basics.location.region, basics.location.countryCode].filter(Boolean).join(', ')
+            : '';
+        const contacts = [
+            basics.email ? { label: basics.email, url: `mailto:${basics.email}` } : null,
+            basics.url ? { label: basics.url.replace(/^https?:\/\/|\/$/g, ''), url: basics.url } : null,
+            ...(basics.profiles || []).map(profile => ({ label: `${profile.network}: ${profile.username}`, url: profile.url }))
+        ].filter(contact => contact && Template.safeUrl(contact.url));
+
+        const sections = Renderers.cvSections
+            .map(section => ({ ...section, items: (data[section.key] || []).map(section.item) }))
+            .filter(section => section.items.length > 0);
+
+        return Template.html`
+            <div class="cv">
+                <div class="cv-header">
+                    <div class="cv-name">
+                        <h1 class="project-detail-title">${basics.name}</h1>
+                        ${basics.label ? Template.html`<p class="cv-label">${basics.label}</p>` : ''}
+                    </div>
+                    <ul class="cv-contacts">
+                        ${location ? Template.html`<li>${location}</li>` : ''}
+                        ${contacts.map(contact => Template.html`
+                            <li><a href="${Template.safeUrl(contact.url)}" class="update-link cursor-interact">${contact.label}</a></li>
+                        `)}
+                    </ul>
+                    <button type="button" class="cv-print cursor-interact" data-print>Print / save as PDF</button>
+                </div>
+                ${basics.summary ? Template.html`<p class="cv-summary">${basics.summary}</p>` : ''}
+                ${sections.map(section => Template.html`
+                    <section class="cv-section">
+                        <h2 class="cv-section-title">${section.label}</h2>
+                        <ol class="cv-entries">
+                            ${section.items.map(item => Renderers.cvEntry(item))}
+                        </ol>
+                    </section>
+                `)}
+            </div>
+        `;
+    }
+}
+
+// Site owner, highlighted in author lists
+Renderers.owner = { first: 'Carl', last: 'Illustrisimo' };
+
+// Publication groups in display order, by the entry's status field
+// (status null collects entries whose status matches no other group, so none go missing)
+Renderers.publicationGroups = [
+    { status: 'published', label: 'Published' },
+    { status: 'under review', label: 'Under review' },
+    { status: 'in prep', label: 'In preparation' },
+    { status: null, label: 'Other' }
+];
+
+/**
+ * CV sections, in display order
+ * key: JSON Resume section in data/resume.json
+ * label: section heading
+ * item: maps an entry to { title, subtitle, url, date or startDate/endDate, summary, highlights }
+ *
+ * resume.json projects may be { "id": "project-3" } to pull a project from projects.json
+ * (see getResumeProjects). To add a section, e.g. volunteering:
+ *   { key: 'volunteer', label: 'Service', item: v => ({ title: v.position, subtitle: v.organization, startDate: v.startDate }) }
+ */
+Renderers.cvSections = [
+    {
+        key: 'education',
+        label: 'Education',
+        item: entry => ({
+            title: [entry.studyType, entry.area].filter(Boolean).join(', ') || entry.institution,
+            subtitle: entry.studyType || entry.area ? entry.institution : null,
+            url: entry.url,
+            startDate: entry.startDate,
+            endDate: entry.endDate,
+            summary: entry.score ? `GPA: ${entry.score}` : null,
+            highlights: entry.courses
+        })
+    },
+    {
+        key: 'work',
+        label: 'Positions',
+        item: entry => ({
+            title: entry.position,
+            subtitle: entry.name,
+            url: entry.url,
+            startDate: entry.startDate,
+            endDate: entry.endDate,
+            summary: entry.summary,
+            highlights: entry.highlights
+        })
+    },
+    {
+        key: 'awards',
+        label: 'Awards & fellowships',
+        item: entry => ({
+            title: entry.title,
+            subtitle: entry.awarder,
+            date: entry.date,
+            summary: entry.summary
+        })
+    },
+    {
+        key: 'projects',
+        label: 'Research & projects',
+        item: entry => ({
+            title: entry.name,
+            subtitle: [...(entry.roles || []), ...(entry.keywords || [])].join(' · ') || null,
+            url: entry.url,
+            startDate: entry.startDate,
+            endDate: entry.endDate || entry.startDate,
+            summary: entry.description,
+            highlights: entry.highlights
+        })
+    }
+];
+
+// Fields every row carries regardless of columns (search and tie-breaks rely on them)
+Renderers.rowFields = ['id', 'year', 'title', 'category', 'tags', 'preview'];
+
+/**
+ * Project list columns, in display order
+ * field: project field shown (and sorted by, as data-<field> on each row)
+ * label: header text
+ * width: CSS width, or 'fill' for the column that takes the remaining space
+ * sortable: header gets a sort button (ProjectList reads the URL's ?sort= against these)
+ * numeric: sort as numbers rather than text
+ * optional: hidden on narrower screens first
+ * formatter: (value, project) => text or SafeHtml for the cell; lists are joined with commas by default
+ *
+ * To add a column, e.g. a venue or status:
+ *   { field: 'venue', label: 'Venue', width: '180px', sortable: true, optional: true }
+ *   { field: 'collaborators', label: 'With', width: '200px', optional: true }
+ */
+Renderers.columns = [
+    { field: 'year', label: 'Year', width: '100px', sortable: true, numeric: true },
+    { field: 'title', label: 'Project Name', width: 'fill', sortable: true },
+    { field: 'category', label: 'Type', width: '150px', sortable: true }
+];
+
+// Expose for the browser and for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Renderers;
+} else {
+    window.Renderers = Renderers;
+}
@@ -0,0 +1,391 @@
+/**
+ * ============================================
+ * SCHEMA.JS
+ * Declarative schemas for data/*.json
+ * Used by ContentLoader at runtime and by
+ * scripts/validate-data.js before deploy
+ * Depends on: dates.js (Dates)
+ * ============================================
+ */
+
+class DataSchema {
+    /**
+     * Validate a parsed data file against a named schema
+     * Broken entries are dropped, everything else is returned for rendering
+     * @param {Object} data - Parsed JSON (e.g. { projects: [...] })
+     * @param {string} name - Schema name ('projects', 'updates' or 'publications')
+     * @returns {{entries: Object[], errors: Object[], warnings: Object[]}}
+     */
+    static validate(data, name) {
+        const schema = DataSchema.schemas[name];
+        if (!schema) {
+            throw new Error(`Unknown schema: ${name}`);
+        }
+
+        const result = { entries: [], errors: [], warnings: [] };
+        const list = data && data[schema.root];
+
+        if (!Array.isArray(list)) {
+            result.errors.push({
+                entry: name,
+                field: schema.root,
+                message: `expected a top-level "${schema.root}" array`
+            });
+            return result;
+        }
+
+        const seen = Object.fromEntries(Object.keys(schema.fields).map(key => [key, new Set()]));
+
+        list.forEach((entry, index) => {
+            const label = DataSchema.describeEntry(schema.root, entry, index);
+
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                result.errors.push({ entry: label, field: null, message: 'expected an object' });
+                return;
+            }
+
+            const errors = DataSchema.checkFields(entry, schema.fields);
+
+            // IDs and slugs must be unique so routes and data-id lookups stay unambiguous
+            Object.entries(schema.fields).forEach(([key, rule]) => {
+                if (!rule.unique || entry[key] === undefined) return;
+                if (seen[key].has(entry[key])) {
+                    errors.push({ field: key, message: `duplicate ${key} "${entry[key]}"` });
+                }
+                seen[key].add(entry[key]);
+            });
+
+            // Unknown keys are usually typos, so they warn but don't drop the entry
+            Object.keys(entry).forEach(key => {
+                if (schema.fields[key]) return;
+                const suggestion = DataSchema.suggest(key, Object.keys(schema.fields));
+                result.warnings.push({
+                    entry: label,
+                    field: key,
+                    message: suggestion
+                        ? `unknown field (did you mean "${suggestion}"?)`
+                        : 'unknown field'
+                });
+            });
+
+            if (errors.length > 0) {
+                errors.forEach(error => result.errors.push({ entry: label, ...error }));
+            } else {
+                result.entries.push(entry);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Check an object's fields against a field map
+     * @param {Object} value - Object to check
+     * @param {Object} fields - Field name → rule
+     * @param {string} prefix - Path prefix for nested fields
+     * @returns {Object[]} Errors as { field, message }
+     */
+    static checkFields(value, fields, prefix = '') {
+        const errors = [];
+
+        Object.entries(fields).forEach(([key, rule]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const fieldValue = value[key];
+
+            if (fieldValue === undefined || (fieldValue === null && rule.nullable)) {
+                if (rule.required) {
+                    errors.push({ field: path, message: 'is required' });
+                }
+                return;
+            }
+
+            errors.push(...DataSchema.checkValue(fieldValue, rule, path));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check a single value against a rule
+     * @param {*} value - Value to check
+     * @param {Object} rule - Field rule ({ type, items, fields, ... })
+     * @param {string} path - Field path for error messages
+     * @returns {Object[]} Errors as { field, message }
+     */
+    static checkValue(value, rule, path) {
+        // Lists may also accept a lone item (e.g. previewImage: "a.webp")
+        if (rule.type === 'list') {
+            if (!Array.isArray(value)) {
+                return rule.single
+                    ? DataSchema.checkValue(value, rule.items, path)
+                    : [{ field: path, message: `expected a list, got ${DataSchema.typeOf(value)}` }];
+            }
+
+            const errors = [];
+            value.forEach((item, index) => {
+                errors.push(...DataSchema.checkValue(item, rule.items, `${path}[${index}]`));
+            });
+            return errors;
+        }
+
+        if (rule.type === 'object') {
+            // Objects may also be given as just their main field (e.g. "a.webp" for { src: "a.webp" })
+            if (rule.shorthand && (typeof value !== 'object' || value === null)) {
+                return DataSchema.checkValue(value, rule.fields[rule.shorthand], path);
+            }
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return [{ field: path, message: `expected an object, got ${DataSchema.typeOf(value)}` }];
+            }
+            return DataSchema.checkFields(value, rule.fields, path);
+        }
+
+        const check = DataSchema.types[rule.type];
+        const message = check ? check(value, rule) : `unknown rule type "${rule.type}"`;
+
+        return message ? [{ field: path, message }] : [];
+    }
+
+    /**
+     * Human-readable label for an entry, preferring its id (or citation key)
+     */
+    static describeEntry(root, entry, index) {
+        const id = entry && (typeof entry.id === 'string' ? entry.id : entry.key);
+        if (typeof id === 'string') {
+            return `${root}[${index}] "${id}"`;
+        }
+        return `${root}[${index}]`;
+    }
+
+    /**
+     * Format a single issue for logging
+     * @param {Object} issue - { entry, field, message }
+     * @returns {string}
+     */
+    static formatIssue(issue) {
+        return issue.field
+            ? `${issue.entry}: "${issue.field}" ${issue.message}`
+            : `${issue.entry}: ${issue.message}`;
+    }
+
+    /**
+     * Log validation problems to the console
+     * @param {string} file - Data file path for context
+     * @param {Object} result - Result from validate()
+     */
+    static report(file, result) {
+        result.errors.forEach(issue => {
+            console.error(`[${file}] ${DataSchema.formatIssue(issue)} (entry skipped)`);
+        });
+        result.warnings.forEach(issue => {
+            console.warn(`[${file}] ${DataSchema.formatIssue(issue)}`);
+        });
+    }
+
+    /**
+     * Closest known key to a misspelled one, if any is close enough
+     */
+    static suggest(key, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        candidates.forEach(candidate => {
+            const distance = DataSchema.editDistance(key.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     */
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'list';
+        return typeof value;
+    }
+}
+
+/**
+ * Value checks by rule type
+ * Each returns an error message, or null when the value is fine
+ */
+DataSchema.types = {
+    string(value, rule) {
+        if (typeof value !== 'string') return `expected text, got ${DataSchema.typeOf(value)}`;
+        if (!value.trim()) return 'must not be empty';
+        if (rule.pattern && !rule.pattern.test(value)) return `"${value}" should look like ${rule.example}`;
+        return null;
+    },
+
+    choice(value, rule) {
+        if (!rule.values.includes(value)) {
+            return `${JSON.stringify(value)} should be one of ${rule.values.map(v => `"${v}"`).join(', ')}`;
+        }
+        return null;
+    },
+
+    id(value) {
+        if (typeof value !== 'string') return `expected text, got ${DataSchema.typeOf(value)}`;
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(value)) {
+            return `"${value}" should only use lowercase letters, digits and dashes`;
+        }
+        return null;
+    },
+
+    integer(value, rule) {
+        if (!Number.isInteger(value)) return `expected a whole number, got ${JSON.stringify(value)}`;
+        if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+        return null;
+    },
+
+    url(value) {
+        if (typeof value !== 'string') return `expected a URL, got ${DataSchema.typeOf(value)}`;
+        if (!/^https?:\/\/[^\s]+$/i.test(value)) return `"${value}" is not an http(s) URL`;
+        return null;
+    },
+
+    image(value) {
+        if (typeof value !== 'string') return `expected an image path, got ${DataSchema.typeOf(value)}`;
+        if (!/^images\/[\w./-]+\.(webp|png|jpe?g|gif|avif)$/i.test(value)) {
+            return `"${value}" should be a path like images/previews/name.webp`;
+        }
+        return null;
+    },
+
+    // Preview media: an image, or a short muted mp4/webm clip
+    media(value) {
+        if (typeof value !== 'string') return `expected an image or video path, got ${DataSchema.typeOf(value)}`;
+        if (!/^images\/[\w./-]+\.(webp|png|jpe?g|gif|avif|mp4|webm)$/i.test(value)) {
+            return `"${value}" should be a path like images/previews/name.webp or images/previews/name.mp4`;
+        }
+        return null;
+    },
+
+    date(value) {
+        if (typeof value !== 'string') return `expected a date, got ${DataSchema.typeOf(value)}`;
+        if (!Dates.parse(value)) {
+            return `"${value}" should be a real date formatted YYYY-MM-DD (or legacy MM-DD-YYYY)`;
+        }
+        return null;
+    }
+};
+
+/**
+ * Rules shared between fields
+ */
+DataSchema.rules = {
+    // A preview: a path, or { src, caption, alt, duration (ms in the slideshow), poster (for clips) }
+    preview: {
+        type: 'object',
+        shorthand: 'src',
+        fields: {
+            src: { type: 'media', required: true },
+            poster: { type: 'image' },
+            caption: { type: 'string' },
+            alt: { type: 'string' },
+            duration: { type: 'integer', min: 500, max: 60000 }
+        }
+    }
+};
+
+/**
+ * Schemas for each data file
+ * root: top-level array key, fields: rule per entry field
+ * unique: no two entries may share the field's value
+ */
+DataSchema.schemas = {
+    projects: {
+        root: 'projects',
+        fields: {
+            id: { type: 'id', required: true, unique: true },
+            slug: { type: 'id', unique: true },
+            year: { type: 'integer', required: true, min: 1900, max: 2100 },
+            title: { type: 'string', required: true },
+            category: { type: 'string', required: true },
+            tags: { type: 'list', items: { type: 'string' } },
+            previewImage: { type: 'list', single: true, items: DataSchema.rules.preview },
+            previewImages: { type: 'list', items: DataSchema.rules.preview },
+            slideshowDelay: { type: 'integer', min: 500, max: 60000 },
+            link: { type: 'url', nullable: true },
+            description: { type: 'string' },
+            role: { type: 'string' },
+            status: { type: 'string' },
+            venue: { type: 'string' },
+            collaborators: { type: 'list', items: { type: 'string' } },
+            links: {
+                type: 'list',
+                items: {
+                    type: 'object',
+                    fields: {
+                        label: { type: 'string', required: true },
+                        url: { type: 'url', required: true }
+                    }
+                }
+            }
+        }
+    },
+
+    updates: {
+        root: 'updates',
+        fields: {
+            id: { type: 'id', unique: true },
+            date: { type: 'date', required: true },
+            text: { type: 'string', required: true },
+            link: { type: 'url', nullable: true },
+            linkText: { type: 'string' }
+        }
+    },
+
+    // Parsed from data/publications.bib (see BibTeX.parse); fields are raw BibTeX values
+    publications: {
+        root: 'publications',
+        fields: {
+            type: { type: 'id', required: true },
+            key: { type: 'string', required: true, unique: true },
+            fields: {
+                type: 'object',
+                required: true,
+                fields: {
+                    author: { type: 'string', required: true },
+                    title: { type: 'string', required: true },
+                    year: { type: 'string', required: true, pattern: /^\d{4}$/, example: '2025' },
+                    status: { type: 'choice', values: ['published', 'under review', 'in prep'] },
+                    doi: { type: 'string' },
+                    url: { type: 'url' },
+                    pdf: { type: 'string' },
+                    code: { type: 'url' }
+                }
+            }
+        }
+    }
+};
+
+// Expose for the browser and for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataSchema;
+} else {
+    window.DataSchema = DataSchema;
+}
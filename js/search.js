@@ -0,0 +1,180 @@
+/**
+ * ============================================
+ * SEARCH.JS
+ * Typo-tolerant matching and highlighting
+ * Used by ProjectList for projects and updates
+ * Depends on: templates.js (Template)
+ * ============================================
+ */
+
+class FuzzySearch {
+    /**
+     * Match a query against several named fields
+     * Every query word must match somewhere: exactly as a substring,
+     * or within a small edit distance of a word (or word prefix)
+     * @param {string} query - Search query
+     * @param {Object<string, string>} fields - Field name → text
+     * @returns {{score: number, ranges: Object<string, number[][]>}|null} Null if no match
+     */
+    static matchFields(query, fields) {
+        const tokens = FuzzySearch.tokenize(query);
+        const ranges = {};
+        let score = 0;
+
+        Object.keys(fields).forEach(name => {
+            ranges[name] = [];
+        });
+
+        for (const token of tokens) {
+            let best = null;
+
+            Object.entries(fields).forEach(([name, text]) => {
+                const hit = FuzzySearch.matchToken(token, String(text ?? ''));
+                if (hit && (!best || hit.score > best.score)) {
+                    best = { ...hit, name };
+                }
+            });
+
+            if (!best) return null;
+
+            score += best.score;
+            ranges[best.name].push(best.range);
+        }
+
+        Object.keys(ranges).forEach(name => {
+            ranges[name] = FuzzySearch.mergeRanges(ranges[name]);
+        });
+
+        return { score, ranges };
+    }
+
+    /**
+     * Match a single lower-cased token against text
+     * @returns {{score: number, range: number[]}|null}
+     */
+    static matchToken(token, text) {
+        const lower = FuzzySearch.foldCase(text);
+
+        // Exact substring beats any fuzzy hit
+        const index = lower.indexOf(token);
+        if (index !== -1) {
+            return { score: 3, range: [index, index + token.length] };
+        }
+
+        // Short tokens are too ambiguous to fuzz
+        const maxEdits = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+        if (maxEdits === 0) return null;
+
+        let best = null;
+
+        for (const match of lower.matchAll(/[\p{L}\p{N}]+/gu)) {
+            const word = match[0];
+
+            // Compare with the whole word and with a prefix (for partially typed words)
+            [word, word.slice(0, token.length)].forEach(candidate => {
+                const distance = FuzzySearch.editDistance(token, candidate);
+                if (distance <= maxEdits && (!best || distance < best.distance)) {
+                    best = { distance, range: [match.index, match.index + candidate.length] };
+                }
+            });
+        }
+
+        return best ? { score: 2 - best.distance * 0.5, range: best.range } : null;
+    }
+
+    /**
+     * Lower-case text without changing its length, so match ranges index the original
+     * Characters whose lower case is longer (e.g. "İ") are left as they are
+     * @param {string} text
+     * @returns {string}
+     */
+    static foldCase(text) {
+        let folded = '';
+
+        for (const char of text) {
+            const lower = char.toLowerCase();
+            folded += lower.length === char.length ? lower : char;
+        }
+
+        return folded;
+    }
+
+    /**
+     * Split a query into lower-cased words
+     */
+    static tokenize(query) {
+        return String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Edit distance counting adjacent transpositions as one edit
+     * (so "sublmie" is one typo away from "sublime")
+     */
+    static editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Sort and merge overlapping [start, end) ranges
+     */
+    static mergeRanges(ranges) {
+        const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+        const merged = [];
+
+        sorted.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Escape text and wrap matched ranges in <mark>
+     * @param {string} text - Original text
+     * @param {number[][]} ranges - Ranges from matchFields
+     * @returns {SafeHtml}
+     */
+    static highlight(text, ranges = []) {
+        const source = String(text ?? '');
+        const parts = [];
+        let cursor = 0;
+
+        ranges.forEach(([start, end]) => {
+            parts.push(source.slice(cursor, start));
+            parts.push(Template.html`<mark class="search-mark">${source.slice(start, end)}</mark>`);
+            cursor = end;
+        });
+        parts.push(source.slice(cursor));
+
+        return Template.html`${parts}`;
+    }
+}
+
+// Expose for the browser and for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FuzzySearch;
+} else {
+    window.FuzzySearch = FuzzySearch;
+}
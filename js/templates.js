@@ -0,0 +1,149 @@
+/**
+ * ============================================
+ * TEMPLATES.JS
+ * Escaping and HTML templating helpers
+ * Every renderer builds markup through Template.html
+ * so data from JSON can never become markup
+ * ============================================
+ */
+
+/**
+ * Markup that has already been escaped or is trusted
+ * Template.html passes these through untouched
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+class Template {
+    /**
+     * Tagged template that escapes every interpolated value
+     * Arrays are joined, null/undefined/false render as nothing,
+     * and SafeHtml values (from nested html`` calls) pass through
+     * @example Template.html`<p title="${title}">${text}</p>`
+     * @returns {SafeHtml}
+     */
+    static html(strings, ...values) {
+        let out = strings[0];
+
+        values.forEach((value, index) => {
+            out += Template.stringify(value) + strings[index + 1];
+        });
+
+        return new SafeHtml(out);
+    }
+
+    /**
+     * Convert an interpolated value to escaped markup
+     */
+    static stringify(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(Template.stringify).join('');
+        return Template.escapeHtml(value);
+    }
+
+    /**
+     * Mark a string as trusted markup
+     * Only use for static strings, never for data
+     */
+    static raw(value) {
+        return new SafeHtml(String(value));
+    }
+
+    /**
+     * Escape text for element content and double- or single-quoted attributes
+     */
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape a value for an attribute
+     * Objects and arrays are serialised as JSON first (for data-* payloads)
+     * @returns {SafeHtml} Ready to interpolate into Template.html
+     */
+    static escapeAttr(value) {
+        const text = typeof value === 'object' && value !== null
+            ? JSON.stringify(value)
+            : String(value);
+        return new SafeHtml(Template.escapeHtml(text));
+    }
+
+    /**
+     * Validate a URL for use in href/src
+     * Allows http(s), mailto, in-page hashes and relative paths;
+     * rejects javascript:, data:, vbscript: and anything else with a scheme,
+     * and protocol-relative //host paths, which leave the site
+     * @param {string} url - URL from data
+     * @returns {string|null} The trimmed URL, or null if unsafe
+     */
+    static safeUrl(url) {
+        if (typeof url !== 'string') return null;
+
+        const trimmed = url.trim();
+        if (!trimmed) return null;
+
+        // Strip control characters and whitespace browsers ignore when parsing schemes
+        const normalized = trimmed.replace(/[\u0000-\u0020\u007f]+/g, '').toLowerCase();
+        const scheme = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+
+        if (scheme && !['http', 'https', 'mailto'].includes(scheme[1])) {
+            return null;
+        }
+
+        // Browsers read backslashes as slashes here, so /\host and \\host count too
+        if (/^[\\/]{2}/.test(normalized)) {
+            return null;
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Short, stable hash of a string (32-bit FNV-1a, hex)
+     * Used to tell whether prerendered markup matches what the client would render
+     */
+    static hash(value) {
+        let hash = 0x811c9dc5;
+        const text = String(value);
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Parse a markup string into a single element
+     * @param {SafeHtml|string} markup - Markup with one root element
+     * @returns {Element}
+     */
+    static toElement(markup) {
+        const template = document.createElement('template');
+        template.innerHTML = String(markup).trim();
+        return template.content.firstElementChild;
+    }
+}
+
+Template.SafeHtml = SafeHtml;
+
+// Expose for the browser and for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Template;
+} else {
+    window.Template = Template;
+}
@@ -0,0 +1,391 @@
+/**
+ * ============================================
+ * TOUCH-PREVIEW.JS
+ * Project previews for touch devices
+ * Without hover, the preview box never shows, so
+ * a tap on a row's preview icon or a long-press
+ * on the row opens a bottom sheet gallery instead.
+ * A normal tap still follows the row link
+ * Depends on: templates.js (Template), renderers.js (Renderers)
+ * ============================================
+ */
+
+class TouchPreview {
+    constructor() {
+        // Elements
+        this.projectList = document.getElementById('projectList');
+        this.sheet = document.getElementById('previewSheet');
+        this.title = document.getElementById('previewSheetTitle');
+        this.openLink = document.getElementById('previewSheetOpen');
+        this.track = document.getElementById('previewSheetTrack');
+        this.dots = document.getElementById('previewSheetDots');
+        
+        // Configuration
+        this.longPressDelay = 450;
+        this.moveTolerance = 10; // px of finger movement that cancels a long-press
+        this.dismissDistance = 80; // px of downward swipe that closes the sheet
+        
+        // State
+        this.hoverQuery = window.matchMedia('(hover: hover)');
+        this.isOpen = false;
+        this.images = [];
+        this.currentIndex = 0;
+        this.longPressTimer = null;
+        this.touchStart = null;
+        this.suppressClick = false;
+        this.returnFocus = null;
+        
+        // Bind methods
+        this.onModeChange = this.onModeChange.bind(this);
+        this.onListClick = this.onListClick.bind(this);
+        this.onTouchStart = this.onTouchStart.bind(this);
+        this.onTouchMove = this.onTouchMove.bind(this);
+        this.onTouchEnd = this.onTouchEnd.bind(this);
+        this.onContextMenu = this.onContextMenu.bind(this);
+        this.onSheetClick = this.onSheetClick.bind(this);
+        this.onSheetKeyDown = this.onSheetKeyDown.bind(this);
+        this.onTrackScroll = this.onTrackScroll.bind(this);
+        this.onPanelTouchStart = this.onPanelTouchStart.bind(this);
+        this.onPanelTouchEnd = this.onPanelTouchEnd.bind(this);
+        
+        // Initialize
+        this.init();
+    }
+    
+    init() {
+        if (!this.projectList || !this.sheet) return;
+        
+        // Touch mode follows the primary pointer, and can change at runtime
+        this.onModeChange(this.hoverQuery);
+        this.hoverQuery.addEventListener('change', this.onModeChange);
+        
+        // Delegated, since ProjectList clones and re-renders rows
+        // Capture phase so a preview tap never reaches the row's own click handling
+        this.projectList.addEventListener('click', this.onListClick, true);
+        this.projectList.addEventListener('touchstart', this.onTouchStart, { passive: true });
+        this.projectList.addEventListener('touchmove', this.onTouchMove, { passive: true });
+        this.projectList.addEventListener('touchend', this.onTouchEnd);
+        this.projectList.addEventListener('touchcancel', this.onTouchEnd);
+        this.projectList.addEventListener('contextmenu', this.onContextMenu);
+        
+        // Sheet controls
+        const panel = this.sheet.querySelector('.preview-sheet-panel');
+        this.sheet.addEventListener('click', this.onSheetClick);
+        this.sheet.addEventListener('keydown', this.onSheetKeyDown);
+        this.track.addEventListener('scroll', this.onTrackScroll, { passive: true });
+        panel.addEventListener('touchstart', this.onPanelTouchStart, { passive: true });
+        panel.addEventListener('touchend', this.onPanelTouchEnd);
+        
+        // Leaving the projects page closes the sheet
+        window.addEventListener('pageChange', () => this.close());
+    }
+    
+    /**
+     * Switch between hover and touch mode
+     */
+    onModeChange(query) {
+        this.isTouchMode = !query.matches;
+        document.body.classList.toggle('touch-mode', this.isTouchMode);
+        
+        if (!this.isTouchMode) {
+            this.cancelLongPress();
+            this.close();
+        }
+    }
+    
+    /**
+     * Open the sheet from a tap on the preview icon, and swallow the click after a long-press
+     */
+    onListClick(e) {
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+            return;
+        }
+        
+        const toggle = e.target.closest('[data-preview-open]');
+        if (!toggle || !this.isTouchMode) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        this.openForRow(toggle.closest('.project-item'));
+    }
+    
+    /**
+     * Start timing a possible long-press on a row with previews
+     */
+    onTouchStart(e) {
+        if (!this.isTouchMode || e.touches.length > 1) return;
+        
+        // A new touch starts fresh: a long-press whose click never came (touchend
+        // prevented it) mustn't swallow this tap, whichever row or link it's on
+        this.suppressClick = false;
+        
+        const row = e.target.closest('.project-item[data-preview]');
+        if (!row) return;
+        
+        const touch = e.touches[0];
+        this.touchStart = { x: touch.clientX, y: touch.clientY };
+        
+        this.cancelLongPress();
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            this.suppressClick = true;
+            this.openForRow(row);
+        }, this.longPressDelay);
+    }
+    
+    /**
+     * Scrolling the page isn't a long-press
+     */
+    onTouchMove(e) {
+        if (!this.longPressTimer || !this.touchStart) return;
+        
+        const touch = e.touches[0];
+        const dx = touch.clientX - this.touchStart.x;
+        const dy = touch.clientY - this.touchStart.y;
+        
+        if (Math.hypot(dx, dy) > this.moveTolerance) {
+            this.cancelLongPress();
+        }
+    }
+    
+    /**
+     * Released before the delay: let the tap through as a normal link tap
+     */
+    onTouchEnd(e) {
+        this.cancelLongPress();
+        
+        // The sheet is already open; don't follow the link too
+        // (suppressClick stays armed for browsers that still send the click)
+        if (this.suppressClick && e.type === 'touchend') {
+            e.preventDefault();
+        }
+    }
+    
+    /**
+     * Long-pressing a link opens the system link menu; the sheet replaces it on preview rows
+     */
+    onContextMenu(e) {
+        if (this.isTouchMode && e.target.closest('.project-item[data-preview]')) {
+            e.preventDefault();
+        }
+    }
+    
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+    
+    /**
+     * Read a row's preview images and open the sheet
+     * @param {HTMLElement} row - Project row with data-preview
+     */
+    openForRow(row) {
+        if (!row || !row.dataset.preview) return;
+        
+        let images;
+        try {
+            images = JSON.parse(row.dataset.preview);
+        } catch (e) {
+            images = row.dataset.preview;
+        }
+        
+        this.open({
+            id: row.dataset.id,
+            images: Array.isArray(images) ? images : [images],
+            title: row.dataset.title || '',
+            href: row.getAttribute('href'),
+            external: row.target === '_blank'
+        });
+    }
+    
+    /**
+     * Open the bottom sheet
+     * @param {Object} preview - { id, images, title, href, external }
+     */
+    open({ id, images, title, href, external }) {
+        this.projectId = id;
+        this.images = images;
+        this.currentIndex = 0;
+        this.returnFocus = document.activeElement;
+        
+        this.title.textContent = title;
+        this.openLink.hidden = !href;
+        if (href) {
+            this.openLink.href = href;
+            if (external) {
+                this.openLink.target = '_blank';
+                this.openLink.rel = 'noopener noreferrer';
+            } else {
+                this.openLink.removeAttribute('target');
+                this.openLink.removeAttribute('rel');
+            }
+        }
+        
+        // Warm the shared cache; slides after the first load lazily
+        if (window.imageLoader) {
+            window.imageLoader.preloadImages(images);
+        }
+        
+        // Clips autoplay muted unless reduced motion is preferred; posters come from project data
+        const projects = (window.contentLoader && window.contentLoader.projects) || [];
+        const project = projects.find(p => p.id === id);
+        const items = project ? Renderers.getPreviewItems(project) : [];
+        const posterFor = src => (items.find(item => item.src === src) || {}).poster;
+        const autoplay = !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        
+        this.track.innerHTML = Template.html`
+            ${images.map((src, index) => Template.html`
+                <figure class="preview-sheet-slide">
+                    ${Renderers.isVideo(src) ? Template.html`
+                        <video src="${src}" ${posterFor(src) ? Template.html`poster="${posterFor(src)}"` : ''}
+                               muted loop playsinline preload="metadata" ${autoplay ? Template.raw('autoplay') : Template.raw('controls')}
+                               aria-label="${title} preview ${index + 1} of ${images.length}"></video>
+                    ` : Template.html`
+                        <img src="${src}" alt="${title} preview ${index + 1} of ${images.length}"
+                             loading="${index === 0 ? 'eager' : 'lazy'}" decoding="async" draggable="false">
+                    `}
+                </figure>
+            `)}
+        `;
+        this.track.scrollLeft = 0;
+        this.renderDots();
+        
+        this.sheet.hidden = false;
+        document.body.classList.add('sheet-open');
+        
+        // Next frame so the slide-up transition runs from the hidden state
+        requestAnimationFrame(() => {
+            this.sheet.classList.add('is-open');
+        });
+        
+        this.isOpen = true;
+        this.sheet.querySelector('.preview-sheet-close').focus({ preventScroll: true });
+    }
+    
+    /**
+     * Close the sheet and hand focus back
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.track.querySelectorAll('video').forEach(video => video.pause());
+        this.sheet.classList.remove('is-open');
+        document.body.classList.remove('sheet-open');
+        
+        const hide = () => {
+            if (!this.isOpen) this.sheet.hidden = true;
+        };
+        
+        // Wait for the slide-down, with a fallback when there is no transition
+        this.sheet.addEventListener('transitionend', hide, { once: true });
+        setTimeout(hide, 400);
+        
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+    
+    /**
+     * Backdrop, close button and dot clicks; tapping a slide opens it full screen
+     */
+    onSheetClick(e) {
+        if (e.target.closest('[data-sheet-close]')) {
+            this.close();
+            return;
+        }
+        
+        const dot = e.target.closest('[data-slide]');
+        if (dot) {
+            this.goTo(Number(dot.dataset.slide));
+            return;
+        }
+        
+        if (e.target.closest('.preview-sheet-slide') && window.lightbox) {
+            window.lightbox.openProject(this.projectId, this.currentIndex);
+        }
+    }
+    
+    /**
+     * Escape closes; arrows move between slides
+     */
+    onSheetKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.close();
+        } else if (e.key === 'ArrowRight') {
+            this.goTo(this.currentIndex + 1);
+        } else if (e.key === 'ArrowLeft') {
+            this.goTo(this.currentIndex - 1);
+        }
+    }
+    
+    /**
+     * Scroll a slide into view (the track snaps, so swiping needs no code)
+     * @param {number} index - Slide index
+     */
+    goTo(index) {
+        const clamped = Math.max(0, Math.min(index, this.images.length - 1));
+        this.track.scrollTo({ left: clamped * this.track.clientWidth, behavior: 'smooth' });
+    }
+    
+    /**
+     * Track the current slide as the user swipes
+     */
+    onTrackScroll() {
+        const index = Math.round(this.track.scrollLeft / Math.max(this.track.clientWidth, 1));
+        if (index !== this.currentIndex) {
+            this.currentIndex = index;
+            this.updateDots();
+        }
+    }
+    
+    renderDots() {
+        this.dots.hidden = this.images.length <= 1;
+        this.dots.innerHTML = Template.html`
+            ${this.images.map((_, index) => Template.html`
+                <button type="button" class="preview-sheet-dot${index === this.currentIndex ? ' active' : ''}"
+                        data-slide="${index}" aria-label="Image ${index + 1}"></button>
+            `)}
+        `;
+    }
+    
+    updateDots() {
+        this.dots.querySelectorAll('.preview-sheet-dot').forEach((dot, index) => {
+            dot.classList.toggle('active', index === this.currentIndex);
+        });
+    }
+    
+    /**
+     * Swipe down on the sheet to dismiss it
+     */
+    onPanelTouchStart(e) {
+        this.panelTouchY = e.touches[0].clientY;
+    }
+    
+    onPanelTouchEnd(e) {
+        if (this.panelTouchY === undefined) return;
+        
+        const dy = e.changedTouches[0].clientY - this.panelTouchY;
+        this.panelTouchY = undefined;
+        
+        if (dy > this.dismissDistance) {
+            this.close();
+        }
+    }
+}
+
+// Initialize touch previews when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.touchPreview = new TouchPreview();
+    });
+} else {
+    window.touchPreview = new TouchPreview();
+}
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * BUILD-FEEDS.JS
+ * Writes feed.xml (RSS 2.0), atom.xml (Atom) and
+ * feed.json (JSON Feed 1.1) from data/updates.json
+ *
+ * Usage:
+ *   node scripts/build-feeds.js                  updates only
+ *   node scripts/build-feeds.js --with-projects  updates and projects
+ *
+ * GUIDs come from an update's "id" when it has one, otherwise
+ * from its date and text. Give an update an id before editing
+ * its text if subscribers shouldn't see it as a new item.
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Template, Markdown, Renderers, Dates } = require('./lib/site-modules.js');
+const { ROOT, readData } = require('./lib/data.js');
+
+const SITE = {
+    url: 'https://cillustrisimo.github.io/',
+    host: 'cillustrisimo.github.io',
+    title: 'Carl Illustrisimo',
+    description: 'Updates from Carl Illustrisimo',
+    author: 'Carl Illustrisimo',
+    language: 'en'
+};
+
+const OUTPUT = {
+    rss: 'feed.xml',
+    atom: 'atom.xml',
+    json: 'feed.json'
+};
+
+/**
+ * Resolve a site-relative URL against the site root
+ */
+function absoluteUrl(url) {
+    return new URL(url, SITE.url).href;
+}
+
+/**
+ * Make every href/src in rendered markup absolute, since feed readers have no base URL
+ */
+function absolutizeHtml(html) {
+    return html.replace(/\b(href|src)="([^"]*)"/g, (_, attr, url) => {
+        const decoded = url.replace(/&amp;/g, '&');
+        return `${attr}="${Template.escapeHtml(absoluteUrl(decoded))}"`;
+    });
+}
+
+/**
+ * Plain text of rendered markup, for item titles
+ */
+function toPlainText(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function truncate(text, length = 80) {
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+function shortHash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * Normalise updates into feed items
+ */
+function updateItems(updates) {
+    return updates.map(update => {
+        const date = Dates.parse(update.date);
+        const key = update.id || `${Dates.toISODate(date)}-${shortHash(update.text)}`;
+
+        // Same markup as the site: inline Markdown plus the legacy trailing link
+        const href = Template.safeUrl(update.link);
+        const html = String(Template.html`${Markdown.renderInline(update.text)}${href
+            ? Template.html` <a href="${href}">${update.linkText || '(link)'}</a>`
+            : ''}`);
+
+        return {
+            id: `tag:${SITE.host},${date.getUTCFullYear()}:updates/${key}`,
+            url: absoluteUrl(`updates/${Renderers.getUpdateYear(update)}`),
+            externalUrl: href ? absoluteUrl(href) : null,
+            title: truncate(toPlainText(html)),
+            html: absolutizeHtml(html),
+            date
+        };
+    });
+}
+
+/**
+ * Normalise projects into feed items, dated January 1st of their year
+ */
+function projectItems(projects) {
+    return projects.map(project => {
+        const link = Renderers.getProjectLink(project);
+        const detailUrl = absoluteUrl(Renderers.getProjectPath(project));
+        const description = project.description
+            ? Template.html`<p>${project.description}</p>`
+            : Template.html`<p>${project.category}, ${project.year}</p>`;
+
+        return {
+            id: `tag:${SITE.host},${project.year}:projects/${project.id}`,
+            url: link.external ? link.href : detailUrl,
+            externalUrl: link.external ? link.href : null,
+            title: `New project: ${project.title}`,
+            html: absolutizeHtml(String(description)),
+            date: new Date(Date.UTC(project.year, 0, 1))
+        };
+    });
+}
+
+function buildRss(items, updated) {
+    const x = Template.escapeHtml;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${x(SITE.title)}</title>
+    <link>${x(SITE.url)}</link>
+    <description>${x(SITE.description)}</description>
+    <language>${SITE.language}</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${x(absoluteUrl(OUTPUT.rss))}" rel="self" type="application/rss+xml"/>
+${items.map(item => `    <item>
+      <title>${x(item.title)}</title>
+      <link>${x(item.url)}</link>
+      <guid isPermaLink="false">${x(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${x(item.html)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(items, updated) {
+    const x = Template.escapeHtml;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${SITE.language}">
+  <title>${x(SITE.title)}</title>
+  <subtitle>${x(SITE.description)}</subtitle>
+  <id>${x(SITE.url)}</id>
+  <link href="${x(SITE.url)}"/>
+  <link href="${x(absoluteUrl(OUTPUT.atom))}" rel="self" type="application/atom+xml"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${x(SITE.author)}</name></author>
+${items.map(item => `  <entry>
+    <title>${x(item.title)}</title>
+    <id>${x(item.id)}</id>
+    <link href="${x(item.url)}"/>${item.externalUrl ? `
+    <link rel="related" href="${x(item.externalUrl)}"/>` : ''}
+    <updated>${item.date.toISOString()}</updated>
+    <content type="html">${x(item.html)}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+function buildJsonFeed(items) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: SITE.title,
+        home_page_url: SITE.url,
+        feed_url: absoluteUrl(OUTPUT.json),
+        description: SITE.description,
+        language: SITE.language,
+        authors: [{ name: SITE.author }],
+        items: items.map(item => ({
+            id: item.id,
+            url: item.url,
+            ...(item.externalUrl ? { external_url: item.externalUrl } : {}),
+            title: item.title,
+            content_html: item.html,
+            date_published: item.date.toISOString()
+        }))
+    };
+
+    return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+function main() {
+    const withProjects = process.argv.includes('--with-projects');
+
+    const items = updateItems(readData('updates'));
+    if (withProjects) {
+        items.push(...projectItems(readData('projects')));
+    }
+
+    // Newest first; ties keep file order
+    items.sort((a, b) => b.date - a.date);
+
+    // Use the newest item rather than "now" so rebuilding unchanged data is a no-op
+    const updated = items.length ? items[0].date : new Date(0);
+
+    const files = {
+        [OUTPUT.rss]: buildRss(items, updated),
+        [OUTPUT.atom]: buildAtom(items, updated),
+        [OUTPUT.json]: buildJsonFeed(items)
+    };
+
+    Object.entries(files).forEach(([file, contents]) => {
+        fs.writeFileSync(path.join(ROOT, file), contents);
+        console.log(`✓ ${file} (${items.length} items)`);
+    });
+}
+
+main();
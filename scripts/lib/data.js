@@ -0,0 +1,31 @@
+/**
+ * ============================================
+ * DATA.JS
+ * Reads data/*.json for Node scripts, validated the
+ * same way ContentLoader does in the browser
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataSchema } = require('./site-modules.js');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Read and validate a data file
+ * Invalid entries are reported and dropped, matching the site
+ * @param {string} name - Schema name, also the file name (data/<name>.json)
+ * @returns {Object[]} Valid entries
+ */
+function readData(name) {
+    const file = `data/${name}.json`;
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    const result = DataSchema.validate(data, name);
+
+    DataSchema.report(file, result);
+
+    return result.entries;
+}
+
+module.exports = { ROOT, readData };
@@ -0,0 +1,33 @@
+/**
+ * ============================================
+ * SITE-MODULES.JS
+ * Loads the shared browser modules from js/ for Node scripts
+ * In the browser they see each other as globals (in index.html
+ * script order), so the same globals are set up here
+ * ============================================
+ */
+
+const path = require('path');
+
+const JS_DIR = path.resolve(__dirname, '..', '..', 'js');
+
+// Same order as the <script> tags in index.html
+const MODULES = {
+    Template: 'templates.js',
+    Markdown: 'markdown.js',
+    FuzzySearch: 'search.js',
+    Dates: 'dates.js',
+    BibTeX: 'bibtex.js',
+    DataSchema: 'schema.js',
+    Renderers: 'renderers.js',
+    Pages: 'pages.js'
+};
+
+const modules = {};
+
+Object.entries(MODULES).forEach(([name, file]) => {
+    modules[name] = require(path.join(JS_DIR, file));
+    global[name] = modules[name];
+});
+
+module.exports = modules;
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * PRERENDER.JS
+ * Bakes the current projects and updates into index.html
+ * using the same Renderers the browser uses, so crawlers,
+ * link unfurlers and no-JS readers see real content.
+ *
+ * Usage:
+ *   node scripts/prerender.js          rewrite index.html
+ *   node scripts/prerender.js --check  exit 1 if index.html is stale
+ *
+ * Each region sits between <!-- prerender:name --> markers.
+ * Its container is stamped with data-prerendered="<hash>" so
+ * ContentLoader can keep the nodes when its own render matches.
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Template, Renderers, Dates, Pages } = require('./lib/site-modules.js');
+const { ROOT, readData } = require('./lib/data.js');
+
+const INDEX = path.join(ROOT, 'index.html');
+
+// Must match ContentLoader's first render
+const UPDATES_PER_PAGE = 5;
+
+/**
+ * Regions to fill: marker name, container id, and the markup
+ */
+function buildRegions() {
+    return [
+        {
+            name: 'nav',
+            containerId: 'navList',
+            markup: String(Pages.navLinks())
+        },
+        {
+            name: 'updates',
+            containerId: 'updatesContent',
+            markup: String(Renderers.updatesPage(Dates.sortNewestFirst(readData('updates')), UPDATES_PER_PAGE))
+        },
+        {
+            name: 'columns',
+            containerId: 'projectHeader',
+            markup: String(Renderers.projectHeader())
+        },
+        {
+            name: 'projects',
+            containerId: 'projectList',
+            markup: String(Renderers.projectList(readData('projects')))
+        }
+    ];
+}
+
+// Elements that never have a closing tag
+const VOID_TAGS = new Set(['area', 'br', 'col', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Re-indent rendered markup by tag depth so it sits under its marker
+ * Template literals nest with uneven indentation; this evens it out
+ */
+function indent(html, pad) {
+    const lines = [];
+    let depth = 0;
+
+    html.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const closesFirst = line.startsWith('</');
+        if (closesFirst) depth -= 1;
+
+        lines.push(pad + '    '.repeat(Math.max(depth, 0)) + line);
+
+        const opens = (line.match(/<(?![/!])([a-zA-Z][\w-]*)/g) || [])
+            .filter(tag => !VOID_TAGS.has(tag.slice(1).toLowerCase())).length;
+        const closes = (line.match(/<\/[a-zA-Z]|\/>/g) || []).length;
+
+        depth += opens - closes + (closesFirst ? 1 : 0);
+    });
+
+    return lines.join('\n');
+}
+
+function fillRegion(source, region) {
+    const pattern = new RegExp(
+        `(^([ \\t]*)<!-- prerender:${region.name}\\b[^>]*-->\\n)[\\s\\S]*?(^[ \\t]*<!-- /prerender:${region.name} -->)`,
+        'm'
+    );
+
+    if (!pattern.test(source)) {
+        throw new Error(`Missing <!-- prerender:${region.name} --> markers in index.html`);
+    }
+
+    let output = source.replace(pattern, (_, open, pad, close) => {
+        return `${open}${indent(region.markup, pad)}\n${close}`;
+    });
+
+    // Stamp (or re-stamp) the container with the markup hash
+    const container = new RegExp(`(<[^>]*\\bid="${region.containerId}")(?: data-prerendered="[^"]*")?`);
+    output = output.replace(container, `$1 data-prerendered="${Template.hash(region.markup)}"`);
+
+    return output;
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const source = fs.readFileSync(INDEX, 'utf8');
+    const output = buildRegions().reduce(fillRegion, source);
+
+    if (check) {
+        if (output !== source) {
+            console.error('✗ index.html is stale, run: node scripts/prerender.js');
+            process.exit(1);
+        }
+        console.log('✓ index.html is up to date');
+        return;
+    }
+
+    fs.writeFileSync(INDEX, output);
+    console.log(output === source ? '✓ index.html already up to date' : '✓ index.html prerendered');
+}
+
+main();
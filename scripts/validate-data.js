@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * VALIDATE-DATA.JS
+ * Checks data/*.json and data/publications.bib
+ * against js/schema.js, and that the CV's project
+ * references point at real projects
+ * Run before deploying: node scripts/validate-data.js
+ * Exits non-zero if any entry would be skipped on the site
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataSchema, Pages } = require('./lib/site-modules.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const FILES = [
+    { file: 'data/projects.json', schema: 'projects' },
+    { file: 'data/updates.json', schema: 'updates' },
+    { file: 'data/publications.bib', schema: 'publications' },
+    { file: 'data/resume.json', check: checkResumeProjects }
+];
+
+/**
+ * Image paths pass the schema's shape check in the browser,
+ * but only here can we confirm the file actually exists
+ * @param {Object[]} entries - Raw entries, so indexes match the file
+ */
+function checkImagesExist(entries) {
+    const errors = [];
+
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') return;
+
+        ['previewImage', 'previewImages'].forEach(field => {
+            if (!entry[field]) return;
+            const images = Array.isArray(entry[field]) ? entry[field] : [entry[field]];
+
+            images.forEach(image => {
+                const files = image && typeof image === 'object' ? [image.src, image.poster] : [image];
+
+                files.forEach(src => {
+                    if (typeof src !== 'string') return;
+                    if (!fs.existsSync(path.join(ROOT, src))) {
+                        errors.push({
+                            entry: DataSchema.describeEntry('projects', entry, index),
+                            field,
+                            message: `points to missing file "${src}"`
+                        });
+                    }
+                });
+            });
+        });
+    });
+
+    return errors;
+}
+
+function validateFile({ file, schema }) {
+    let data;
+    const parseErrors = [];
+
+    // Parsed the way the site does it (Pages.formats), so .bib files are checked too
+    try {
+        const { parse } = Pages.dataFile(path.basename(file));
+        data = parse(fs.readFileSync(path.join(ROOT, file), 'utf8'), schema, parseErrors);
+    } catch (error) {
+        return { errors: [{ entry: file, field: null, message: error.message }], warnings: [] };
+    }
+
+    const result = DataSchema.validate(data, schema);
+    result.errors.unshift(...parseErrors.map(error => ({ entry: file, field: null, message: error.message })));
+
+    if (schema === 'projects' && Array.isArray(data.projects)) {
+        result.errors.push(...checkImagesExist(data.projects));
+    }
+
+    return result;
+}
+
+/**
+ * resume.json projects may reference projects.json by id;
+ * the CV silently drops ones that don't exist, so catch them here
+ */
+function checkResumeProjects() {
+    const file = 'data/resume.json';
+    let resume;
+    let projects;
+
+    try {
+        resume = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+        projects = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/projects.json'), 'utf8')).projects || [];
+    } catch (error) {
+        return { errors: [{ entry: file, field: null, message: error.message }], warnings: [] };
+    }
+
+    const errors = [];
+    (resume.projects || []).forEach((entry, index) => {
+        if (!entry || !entry.id) return;
+        if (!projects.some(project => project.id === entry.id || project.slug === entry.id)) {
+            errors.push({
+                entry: `projects[${index}]`,
+                field: 'id',
+                message: `"${entry.id}" is not a project in data/projects.json`
+            });
+        }
+    });
+
+    return { errors, warnings: [] };
+}
+
+let errorCount = 0;
+let warningCount = 0;
+
+FILES.forEach(target => {
+    const result = target.check ? target.check() : validateFile(target);
+
+    result.errors.forEach(issue => {
+        console.error(`✗ ${target.file}: ${DataSchema.formatIssue(issue)}`);
+    });
+    result.warnings.forEach(issue => {
+        console.warn(`! ${target.file}: ${DataSchema.formatIssue(issue)}`);
+    });
+
+    if (result.errors.length === 0 && result.warnings.length === 0) {
+        console.log(`✓ ${target.file}`);
+    }
+
+    errorCount += result.errors.length;
+    warningCount += result.warnings.length;
+});
+
+console.log(`\n${errorCount} error(s), ${warningCount} warning(s)`);
+process.exit(errorCount > 0 ? 1 : 0);